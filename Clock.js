@@ -0,0 +1,244 @@
+/**
+ * This module defines a fake clock, which replaces the timers and Date
+ * for the code being tested, so that code which waits can be tested
+ * without waiting. It's usually created with Test.prototype.clock.
+ *
+ * The modules of this framework keep their own references to the real
+ * timers, so a fake clock, or any other fake timer library, doesn't
+ * stop tests from timing out.
+ * */
+
+var util = require('util');
+
+// See the note on the real timers in library.js.
+var Date = global.Date;
+
+// The globals which are replaced while a clock is installed.
+var FAKED = ["setTimeout","clearTimeout","setInterval","clearInterval","Date"];
+
+// runAll gives up after this many timers, since an interval would keep
+// it going forever.
+var MAX_TIMERS = 1000;
+
+/**
+ * A Clock keeps it's own time, which only moves when it's told to, with
+ * tick or runAll. While it's installed, setTimeout, setInterval and
+ * their clear functions schedule timers on this clock instead of the
+ * real one, and Date uses this clock's time, for new Date() and
+ * Date.now(). Nothing else is faked: setImmediate, process.nextTick and
+ * promises work as usual.
+ *
+ * Parameters:
+ * - now: The time to start at, in milliseconds since the epoch, or a
+ * Date. Defaults to the real time.
+ * */
+var Clock = module.exports = function(now) {
+    /**
+     * The current time on this clock, in milliseconds since the epoch.
+     * */
+    this.now = (now instanceof Date) ? now.getTime() : (typeof now === "number") ? now : Date.now();
+    /**
+     * The number of milliseconds the clock has been moved ahead since
+     * it was created.
+     * */
+    this.elapsed = 0;
+    /**
+     * True while the clock is installed.
+     * */
+    this.installed = false;
+
+    this._timers = [];
+    this._nextId = 1;
+    this._originals = null;
+}
+
+/**
+ * Replaces the global timers and Date with the ones on this clock. The
+ * originals are put back by uninstall.
+ * */
+Clock.prototype.install = function() {
+    if (this.installed) {
+        return;
+    }
+    var clock = this;
+    this._originals = {};
+    FAKED.forEach(function(name) {
+        this._originals[name] = global[name];
+    }.bind(this));
+    var RealDate = this._originals.Date;
+
+    global.setTimeout = function(fn) {
+        return clock._schedule(fn,arguments[1],Array.prototype.slice.call(arguments,2),false);
+    }
+    global.setInterval = function(fn) {
+        return clock._schedule(fn,arguments[1],Array.prototype.slice.call(arguments,2),true);
+    }
+    var originals = this._originals;
+    ["clearTimeout","clearInterval"].forEach(function(name) {
+        global[name] = function(timer) {
+            var waiting = clock._timers.filter(function(item) {
+                return (item.handle !== timer) && (item.id !== timer);
+            });
+            if (waiting.length === clock._timers.length) {
+                // it must be a real timer, created before this was installed.
+                return originals[name].apply(this,arguments);
+            }
+            clock._timers = waiting;
+        }
+    });
+    var FakeDate = function() {
+        if (!(this instanceof FakeDate)) {
+            // Date() without new is a string of the current time.
+            return new RealDate(clock.now).toString();
+        }
+        if (arguments.length === 0) {
+            return new RealDate(clock.now);
+        }
+        var args = [null].concat(Array.prototype.slice.call(arguments));
+        return new (Function.prototype.bind.apply(RealDate,args))();
+    }
+    // so that instanceof still works.
+    FakeDate.prototype = RealDate.prototype;
+    FakeDate.now = function() {
+        return clock.now;
+    }
+    FakeDate.parse = RealDate.parse;
+    FakeDate.UTC = RealDate.UTC;
+    global.Date = FakeDate;
+    this.installed = true;
+}
+
+/**
+ * Puts back the global timers and Date which were replaced by install.
+ * Timers waiting on this clock are left where they are, they can still
+ * be run with tick or runAll.
+ * */
+Clock.prototype.uninstall = function() {
+    if (!this.installed) {
+        return;
+    }
+    FAKED.forEach(function(name) {
+        global[name] = this._originals[name];
+    }.bind(this));
+    this._originals = null;
+    this.installed = false;
+}
+
+/**
+ * Moves the clock ahead, running the timers which come due on the way,
+ * in order, with the clock set to the time they were due. Timers which
+ * are created by those, and come due before the end, are run as well.
+ * Errors thrown by the timers aren't caught.
+ *
+ * Parameters:
+ * - ms: The number of milliseconds to move ahead.
+ * */
+Clock.prototype.tick = function(ms) {
+    var end = this.now + Math.max(Number(ms) || 0,0);
+    var timer;
+    while ((timer = this._next()) && (timer.at <= end)) {
+        this._run(timer);
+    }
+    this._moveTo(end);
+}
+
+/**
+ * Runs all of the timers waiting on this clock, including any they
+ * create, moving the clock ahead to each one as it's run. An interval
+ * would keep this running forever, so it throws an error after 1000
+ * timers.
+ * */
+Clock.prototype.runAll = function() {
+    for (var count = 0; count < MAX_TIMERS; count++) {
+        var timer = this._next();
+        if (!timer) {
+            return;
+        }
+        this._run(timer);
+    }
+    throw new Error(util.format("The fake clock ran %d timers and there were still more, there might be an interval which is never cleared.",MAX_TIMERS));
+}
+
+/**
+ * Returns the number of timers waiting on this clock.
+ * */
+Clock.prototype.countTimers = function() {
+    return this._timers.length;
+}
+
+/**
+ * Describes the state of the clock, for messages about tests which
+ * timed out while it was installed, since a common reason for that is
+ * a timer that was never run.
+ * */
+Clock.prototype.describe = function() {
+    var count = this._timers.length;
+    return util.format("The fake clock had been moved ahead %d milliseconds, and %d timer%s waiting on it.",
+                       this.elapsed,count,count === 1 ? " was" : "s were");
+}
+
+// Adds a timer, returning something that looks enough like node's own
+// Timeout objects for code which calls unref and such.
+Clock.prototype._schedule = function(fn,delay,args,repeat) {
+    delay = Math.max(Number(delay) || 0,0);
+    if (repeat) {
+        // an interval of zero would never let the clock move.
+        delay = Math.max(delay,1);
+    }
+    var id = this._nextId++;
+    var handle = {
+        ref: function() { return handle; },
+        unref: function() { return handle; },
+        hasRef: function() { return true; },
+        refresh: function() {
+            timer.at = this.now + delay;
+            return handle;
+        }.bind(this)
+    };
+    handle[Symbol.toPrimitive] = function() {
+        return id;
+    }
+    var timer = {
+        id: id,
+        handle: handle,
+        fn: fn,
+        args: args,
+        delay: delay,
+        repeat: repeat,
+        at: this.now + delay
+    };
+    this._timers.push(timer);
+    return handle;
+}
+
+// Returns the timer which is due first, the one created first if
+// several are due at the same time, or null if there aren't any.
+Clock.prototype._next = function() {
+    var next = null;
+    this._timers.forEach(function(timer) {
+        if (!next || (timer.at < next.at) || ((timer.at === next.at) && (timer.id < next.id))) {
+            next = timer;
+        }
+    });
+    return next;
+}
+
+// Moves the clock to a timer's time and runs it.
+Clock.prototype._run = function(timer) {
+    this._moveTo(timer.at);
+    if (timer.repeat) {
+        timer.at += timer.delay;
+    } else {
+        this._timers.splice(this._timers.indexOf(timer),1);
+    }
+    if (typeof timer.fn === "function") {
+        timer.fn.apply(null,timer.args);
+    }
+}
+
+Clock.prototype._moveTo = function(time) {
+    if (time > this.now) {
+        this.elapsed += time - this.now;
+        this.now = time;
+    }
+}
@@ -0,0 +1,328 @@
+/**
+ * This module defines an object which can write the results to a stream
+ * as a JUnit compatible XML document, for build servers which read it.
+ * It fulfills the same API as ResultWriter, so it can be used anywhere
+ * that one is.
+ * */
+
+var library = require("./library");
+var util = require('util');
+
+/**
+ * A JUnitWriter accepts a Test results object and writes it's data out
+ * to a stream as a JUnit XML document. If the stream isn't set, this will
+ * default to stdout.
+ *
+ * JUnit has no concept of nested tests, so the test tree is flattened:
+ * - The root Test becomes the 'testsuites' element.
+ * - Every Test, including the root, becomes a 'testsuite' element, named
+ *   with the names of it's ancestors joined by " > ".
+ * - Every Minitest becomes a 'testcase' element in the suite for the Test
+ *   it was added to, with a 'failure' element if it failed.
+ * - If a Test has error annotations, or finished abnormally, a 'testcase'
+ *   with the name of the Test is added to it's suite to hold them. Each
+ *   error annotation becomes an 'error' element. A "timeout", "deadline"
+ *   or "bail" finishReason becomes an 'error' element with that type, and an
+ *   incomplete test becomes a 'failure' element of type "incomplete".
+ * - Skipped and todo Minitests, and skipped or filtered Tests, become 
+ *   'testcase' elements with a 'skipped' element.
+ * - Comments are written into the 'system-out' element of the suite.
+ *
+ * NOTE: As with ResultWriter, the stream object doesn't have to be a
+ * real stream, it only needs a method called 'write'.
+ *
+ * Parameters:
+ * - stream: The stream to write to, optional.
+ * */
+var JUnitWriter = module.exports = function(stream) {
+    this._output = stream || process.stdout;
+
+    /**
+     * Specifies the string to concatenate onto the indent when nested
+     * elements are output.
+     * */
+    this.indentIncrease = "  ";
+}
+
+/**
+ * Writes the results of the test to the output as a complete XML
+ * document. As with ResultWriter, this should really only be called
+ * after the test is completed, but it will work if it isn't.
+ *
+ * Parameters:
+ * - test: The results.Test object containing the results.
+ * - indent: a set of spaces to indent lines with. Default is an empty string.
+ * */
+JUnitWriter.prototype.writeTest = function(test,indent) {
+    indent = indent || "";
+    var suites = [];
+    this.collectSuites(test,[],suites);
+    var totals = suites.reduce(function(totals,suite) {
+        totals.tests += suite.cases.length;
+        totals.failures += suite.failures;
+        totals.errors += suite.errors;
+        totals.skipped += suite.skipped;
+        return totals;
+    },{ tests: 0, failures: 0, errors: 0, skipped: 0 });
+
+    this.writeData('<?xml version="1.0" encoding="UTF-8"?>',indent);
+    this.writeData(util.format('<testsuites name="%s" tests="%d" failures="%d" errors="%d" skipped="%d">',
+                               escape(test.name),totals.tests,totals.failures,totals.errors,totals.skipped),indent);
+    var suiteIndent = indent + this.indentIncrease;
+    suites.forEach(function(suite) {
+        this.writeSuite(suite,suiteIndent);
+    }.bind(this));
+    this.writeData('</testsuites>',indent);
+}
+
+/**
+ * Walks the test tree, converting each Test into a suite object, which
+ * is pushed onto the suites array in the order they should be written.
+ *
+ * Parameters:
+ * - test: The results.Test object to convert.
+ * - path: An array of the names of the ancestors of the test.
+ * - suites: The array to add the suites to.
+ * */
+JUnitWriter.prototype.collectSuites = function(test,path,suites) {
+    path = path.concat([test.name]);
+    var suite = {
+        name: path.join(" > "),
+        cases: [],
+        failures: 0,
+        errors: 0,
+        skipped: 0,
+        output: []
+    };
+    suites.push(suite);
+    // The testcase representing the test itself, only added if needed.
+    var ownCase = {
+        name: test.name,
+        problems: []
+    }
+    test.contents.forEach(function(item) {
+        if (item instanceof library.Minitest) {
+            var testCase = {
+                name: item.name,
+                problems: []
+            }
+            if (item.directive) {
+                testCase.problems.push(skippedProblem(item));
+                suite.skipped += 1;
+            } else if (!item.passed) {
+                testCase.problems.push({ element: "failure", type: "check", message: "failed: " + item.name });
+                suite.failures += 1;
+            }
+            suite.cases.push(testCase);
+        } else if ((item instanceof library.Test) && item.directive) {
+            // it wasn't run, so there's no suite for it.
+            suite.cases.push({
+                name: item.name,
+                problems: [skippedProblem(item)]
+            });
+            suite.skipped += 1;
+        } else if (item instanceof library.Test) {
+            this.collectSuites(item,path,suites);
+        } else if (item instanceof library.Annotation) {
+            switch (item.kind) {
+                case "error":
+                    ownCase.problems.push({ element: "error", type: "error", data: item.data });
+                    suite.errors += 1;
+                    break;
+                case "comment":
+                    suite.output.push(item.data);
+                    break;
+                default:
+                    // See the similar note in ResultWriter.writeTestContent
+                    suite.output.push(item);
+                    break;
+            }
+        } else {
+            // See the similar note in ResultWriter.writeTestContent
+            suite.output.push(item);
+        }
+    }.bind(this));
+
+    switch (test.finishReason) {
+        case null:
+        case undefined:
+            break;
+        case "timeout":
+        case "deadline":
+        case "bail":
+            ownCase.problems.unshift({ element: "error", type: test.finishReason, message: "Test finished due to " + test.finishReason });
+            suite.errors += 1;
+            break;
+        default:
+            ownCase.problems.unshift({ element: "error", type: "abnormal", message: "Test finished abnormally, reason given was '" + test.finishReason + "'" });
+            suite.errors += 1;
+    }
+    if (!test.isCompleted()) {
+        ownCase.problems.push({ element: "failure", type: "incomplete", message: "Test was not completed." });
+        suite.failures += 1;
+    } else if ((test.expected !== null) && (test.expected !== test.total)) {
+        ownCase.problems.push({ element: "failure", type: "plan", message: util.format("Expected %d subtests, saw %d.",test.expected,test.total) });
+        suite.failures += 1;
+    }
+    if (ownCase.problems.length > 0) {
+        suite.cases.push(ownCase);
+    }
+}
+
+/**
+ * Writes a suite object, as created by collectSuites, out as a
+ * 'testsuite' element.
+ *
+ * Parameters:
+ * - suite: the suite object
+ * - indent: The spaces to indent the element.
+ * */
+JUnitWriter.prototype.writeSuite = function(suite,indent) {
+    indent = indent || "";
+    var inner = indent + this.indentIncrease;
+    this.writeData(util.format('<testsuite name="%s" tests="%d" failures="%d" errors="%d" skipped="%d">',
+                               escape(suite.name),suite.cases.length,suite.failures,suite.errors,suite.skipped),indent);
+    suite.cases.forEach(function(testCase) {
+        var start = util.format('<testcase classname="%s" name="%s"',escape(suite.name),escape(testCase.name));
+        if (testCase.problems.length === 0) {
+            this.writeData(start + '/>',inner);
+        } else {
+            this.writeData(start + '>',inner);
+            testCase.problems.forEach(function(problem) {
+                var message = (typeof problem.message !== "undefined") ? problem.message : summarize(problem.data);
+                var element = (problem.element === "skipped") ?
+                              util.format('<skipped message="%s"',escape(message)) :
+                              util.format('<%s type="%s" message="%s"',problem.element,escape(problem.type),escape(message));
+                if (typeof problem.data === "undefined") {
+                    this.writeData(element + '/>',inner + this.indentIncrease);
+                } else {
+                    // Text isn't indented, since whitespace is significant in it.
+                    this.writeData(element + '>' + escape(stringify(problem.data)) + '</' + problem.element + '>',inner + this.indentIncrease);
+                }
+            }.bind(this));
+            this.writeData('</testcase>',inner);
+        }
+    }.bind(this));
+    if (suite.output.length > 0) {
+        this.writeData('<system-out>' + escape(suite.output.map(stringify).join("\n")) + '</system-out>',inner);
+    }
+    this.writeData('</testsuite>',indent);
+}
+
+/**
+ * Writes raw text to the output. Unlike ResultWriter.prototype.writeData,
+ * the lineHeader is only placed at the beginning of the first line, since
+ * any further lines are part of XML text content.
+ *
+ * Parameters:
+ * - message: a string to be written.
+ * - lineHeader: The text to appear at the beginning of the line. Default is
+ * an empty string.
+ * */
+JUnitWriter.prototype.writeData = function(message,lineHeader) {
+    lineHeader = lineHeader || "";
+    this._output.write(lineHeader + message + "\n");
+}
+
+/**
+ * Writes a comment out to the output as an XML comment. XML allows
+ * comments after the document, so this can be called after writeTest.
+ *
+ * Parameters:
+ * - data: a string or object to be written
+ * - indent: The spaces to indent the content. Default is
+ * an empty string.
+ * */
+JUnitWriter.prototype.writeComment = function(data,indent) {
+    this.writeData("<!-- " + escapeComment(stringify(data)) + " -->",indent);
+}
+
+/**
+ * Writes an error out to the output as an XML comment with an
+ * exclamation point (<!-- ! ... -->).
+ *
+ * Parameters:
+ * - data: a string or object to be written
+ * - indent: The spaces to indent the content. Default is
+ * an empty string.
+ * */
+JUnitWriter.prototype.writeError = function(data,indent) {
+    this.writeData("<!-- ! " + escapeComment(stringify(data)) + " -->",indent);
+}
+
+/**
+ * Progress bars would break the XML document, so this does nothing.
+ * It's here to fulfill the ResultWriter API.
+ * */
+JUnitWriter.prototype.showProgress = function(message,indent) {
+}
+
+/**
+ * See showProgress.
+ * */
+JUnitWriter.prototype.endProgress = function() {
+}
+
+// Creates the 'skipped' element for a skipped or todo Minitest or Test.
+var skippedProblem = function(item) {
+    var message = (item.directive === "filter") ? "filtered" : item.directive;
+    if ((item.directiveReason !== null) && (typeof item.directiveReason !== "undefined")) {
+        message += ": " + item.directiveReason;
+    }
+    return { element: "skipped", message: message };
+}
+
+// Converts comment and error data to a string. The stack of an Error
+// already contains it's message, so that's all that's needed.
+var stringify = function(data) {
+    if (typeof data === "string") {
+        return data;
+    } else if (data instanceof Error) {
+        return data.stack || String(data);
+    } else {
+        return util.inspect(data);
+    }
+}
+
+// The longest message attribute written, the whole of the data is in
+// the element's text anyway.
+var SUMMARY_LENGTH = 200;
+
+// Gets a single line from the data for a message attribute. Strings and
+// Errors give their first line, anything else is inspected onto one 
+// line, since the first line of that is often just '{'.
+var summarize = function(data) {
+    var line;
+    if (data instanceof Error) {
+        line = String(data.message).split(/\n/)[0];
+    } else if (typeof data === "string") {
+        line = data.split(/\n/)[0];
+    } else {
+        line = util.inspect(data,{ breakLength: Infinity, compact: true }).replace(/\n/g,"\\n");
+    }
+    if (line.length > SUMMARY_LENGTH) {
+        line = line.slice(0,SUMMARY_LENGTH - 3) + "...";
+    }
+    return line;
+}
+
+// Removes any characters which aren't allowed in XML at all.
+var stripInvalid = function(text) {
+    return String(text).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g,"");
+}
+
+// Escapes text for use in XML content or attributes.
+var escape = function(text) {
+    return stripInvalid(text)
+           .replace(/&/g,"&amp;")
+           .replace(/</g,"&lt;")
+           .replace(/>/g,"&gt;")
+           .replace(/"/g,"&quot;")
+           .replace(/'/g,"&apos;");
+}
+
+// Comments can't contain '--' or end with '-', and nothing in them is
+// unescaped, so just break up the dashes.
+var escapeComment = function(text) {
+    return stripInvalid(text).replace(/-(?=-)/g,"- ").replace(/-$/,"- ");
+}
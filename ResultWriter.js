@@ -6,6 +6,7 @@
 
 var library = require("./library");
 var util = require('util');
+var path = require('path');
 
 // I'm bringing this one in simply because I don't want to have
 // to write yet more wordwrap code. It breaks the philosophy for this
@@ -44,6 +45,47 @@ var ResultWriter = module.exports = function(stream) {
      * Specifies the code to use for turning off bold text.
      * */
     this.boldOff = this._output.isTTY ? "\x1B[0m" : "";
+    /**
+     * Specifies the code to use for coloring the expected side of a
+     * comparison (red).
+     * */
+    this.expectedOn = this._output.isTTY ? "\x1B[31m" : "";
+    /**
+     * Specifies the code to use for coloring the actual side of a
+     * comparison (green).
+     * */
+    this.actualOn = this._output.isTTY ? "\x1B[32m" : "";
+    /**
+     * Specifies the code to use for coloring the location markers in a
+     * comparison (cyan).
+     * */
+    this.markerOn = this._output.isTTY ? "\x1B[36m" : "";
+    /**
+     * Specifies the code to use for turning off colors. This doesn't
+     * turn off bold text.
+     * */
+    this.colorOff = this._output.isTTY ? "\x1B[39m" : "";
+    /**
+     * The maximum number of differences to write for a comparison, 
+     * before the rest are summarized.
+     * */
+    this.maxDifferences = 50;
+    /**
+     * If true, the duration of each test is written after it's summary.
+     * */
+    this.showDurations = false;
+    /**
+     * If this is a number greater than zero, tests and Minitests which
+     * took at least this many milliseconds are marked as slow. Slow 
+     * tests are written even if they're inside a test that passed, which
+     * would otherwise only get a summary.
+     * */
+    this.slowThreshold = 0;
+    /**
+     * If true, the stacks of Errors are written in full, instead of 
+     * being cleaned up with cleanStack.
+     * */
+    this.verbose = false;
     
 }
 
@@ -60,22 +102,78 @@ var ResultWriter = module.exports = function(stream) {
  * */
 ResultWriter.prototype.writeTest = function(test,indent) {
     indent = indent || "";
-
-     var result = test.isPassed() ? "passed" : test.isCompleted() ? (this.boldOn + "failed" + this.boldOff) : (this.boldOn + "incomplete" + this.boldOff);
     
-     this.writeData(util.format("%s -- %d/%d: %s",result,test.passed,test.total,test.name),indent);
+    if (test.directive) {
+        // it wasn't run, so there's nothing more to write.
+        this.writeData(util.format("%s -- %s%s",test.directive === "filter" ? "filtered" : "skipped",test.name,this.formatDirectiveReason(test)),indent);
+        return;
+    }
+
+    this.writeData(this.formatSummary(test),indent);
     // If the test passed, we don't need to know anything more, a summary is plenty.
-    if (result !== "passed") {
+    if (!test.isPassed()) {
         indent += this.indentIncrease;
         this.writeTestMessages(test,indent);
         test.contents.forEach(function(item) {
             this.writeTestContent(item,indent);
         }.bind(this));
+    } else if (this.slowThreshold > 0) {
+        // ...except for where the time went.
+        indent += this.indentIncrease;
+        test.contents.forEach(function(item) {
+            if (this.containsSlow(item)) {
+                this.writeTestContent(item,indent);
+            }
+        }.bind(this));
     }
 
 
 }
 
+/**
+ * Formats the line summarizing the results of a test which was run:
+ * whether it passed, the number of subtests passed out of the total,
+ * and it's name. Tests which were retried are marked with the number
+ * of retries, see formatRetries, and tests which didn't pass are marked
+ * with where they were created, see formatLocation.
+ * 
+ * Parameters:
+ * - test: The results.Test object containing the results.
+ * */
+ResultWriter.prototype.formatSummary = function(test) {
+    var result = test.isPassed() ? "passed" : test.isCompleted() ? (this.boldOn + "failed" + this.boldOff) : (this.boldOn + "incomplete" + this.boldOff);
+    
+    // list the subtests that were not run separately, since they
+    // aren't passed or failed.
+    var notRun = [];
+    if (test.skipped) {
+        notRun.push(test.skipped + " skipped");
+    }
+    if (test.todos) {
+        notRun.push(test.todos + " todo");
+    }
+    notRun = notRun.length ? " (" + notRun.join(", ") + ")" : "";
+    return util.format("%s -- %d/%d%s: %s%s%s%s",result,test.passed,test.total,notRun,test.name,
+                       test.isPassed() ? "" : this.formatLocation(test),this.formatRetries(test),this.formatDuration(test));
+}
+
+/**
+ * Formats how many times a test was retried, such as " (passed after 2
+ * retries)", for adding to the end of the line that names it. This is
+ * written even if the test passed in the end, so that flaky tests don't
+ * go unnoticed. Returns an empty string if the test wasn't retried.
+ * 
+ * Parameters:
+ * - test: The results.Test object.
+ * */
+ResultWriter.prototype.formatRetries = function(test) {
+    var retries = test.attempts ? test.attempts.length : 0;
+    if (retries === 0) {
+        return "";
+    }
+    return util.format(" (%s after %d retr%s)",test.isPassed() ? "passed" : "failed",retries,retries === 1 ? "y" : "ies");
+}
+
 /**
  * Writes important errors about the test's state, indicating why
  * it isn't passed.
@@ -139,6 +237,10 @@ ResultWriter.prototype.writeTestMessages = function(test,indent) {
     } else if (test.pending !== 0) { // incomplete
         var were = test.pending == 1 ? "was" : "were"
         this.writeError(util.format("%d subtest%s %s not completed.",test.pending,test.pending === 1 ? "" : "s",were),indent);
+    } else if (test.finishReason === "deadline") { // failed
+        // This one is worth it's own message, since the test might look
+        // like it was doing fine.
+        this.writeError(util.format("Test was still running at it's deadline of %d milliseconds.",test.deadline),indent);
     } else if (test.finishReason === null) { // failed
         // We don't need to put the actual reason, that should have been
         // marked by the test itself.
@@ -168,11 +270,22 @@ ResultWriter.prototype.writeTestMessages = function(test,indent) {
  * */
 ResultWriter.prototype.writeTestContent = function(item,indent) {
     if (item instanceof library.Minitest) {
-        this.writeData(util.format("%s: %s",item.passed ? "passed" : (this.boldOn + "failed" + this.boldOff),item.name),indent);
+        switch (item.directive) {
+            case "skip":
+                this.writeData(util.format("skipped: %s%s",item.name,this.formatDirectiveReason(item)),indent);
+                break;
+            case "todo":
+                this.writeData(util.format("todo: %s%s",item.name,this.formatDirectiveReason(item)),indent);
+                break;
+            default:
+                this.writeData(util.format("%s: %s%s%s",item.passed ? "passed" : (this.boldOn + "failed" + this.boldOff),item.name,
+                                           item.passed ? "" : this.formatLocation(item),this.formatDuration(item)),indent);
+        }
     } else if (item instanceof library.Annotation) {
         switch (item.kind) {
             case "error":
-               this.writeError(item.data,indent);
+               // An Error's stack already says where it came from.
+               this.writeError((typeof item.data === "string") ? item.data + this.formatLocation(item) : item.data,indent);
                break;
             case "comment":
                this.writeComment(item.data,indent);
@@ -195,14 +308,101 @@ ResultWriter.prototype.writeTestContent = function(item,indent) {
     }
 }
 
+/**
+ * Formats the reason for a skipped or todo Test or Minitest, for adding 
+ * to the end of the line that names it. Returns an empty string if
+ * there is no reason.
+ * 
+ * Parameters:
+ * - item: The Test or Minitest.
+ * */
+ResultWriter.prototype.formatDirectiveReason = function(item) {
+    if ((item.directiveReason === null) || (typeof item.directiveReason === "undefined")) {
+        return "";
+    }
+    return " (" + item.directiveReason + ")";
+}
+
+/**
+ * Formats where a Test, Minitest or Annotation was created, such as
+ * " (at test/foo.js:42)", for adding to the end of the line that names
+ * it. The file is relative to the current directory. This is only 
+ * written for things that failed, so that it's clear which call failed
+ * when the same name is used more than once. Returns an empty string if
+ * the location isn't known.
+ * 
+ * Parameters:
+ * - item: The Test, Minitest or Annotation.
+ * */
+ResultWriter.prototype.formatLocation = function(item) {
+    if (!item.location) {
+        return "";
+    }
+    return util.format(" (at %s:%d)",relativePath(item.location.file),item.location.line);
+}
+
+/**
+ * Formats the duration of a Test or Minitest, for adding to the end of
+ * the line that names it. If the item is slow (see slowThreshold), it's
+ * marked as such. Otherwise, the duration is only included if 
+ * showDurations is true. Returns an empty string if nothing should be
+ * added, or the item doesn't have a duration yet.
+ * 
+ * Parameters:
+ * - item: The Test or Minitest.
+ * */
+ResultWriter.prototype.formatDuration = function(item) {
+    if (typeof item.duration !== "number") {
+        return "";
+    }
+    if (this.isSlow(item)) {
+        return util.format(" (%sslow%s: %s)",this.boldOn,this.boldOff,formatTime(item.duration));
+    }
+    if (this.showDurations) {
+        return " (" + formatTime(item.duration) + ")";
+    }
+    return "";
+}
+
+/**
+ * Returns true if the Test or Minitest took at least slowThreshold
+ * milliseconds.
+ * 
+ * Parameters:
+ * - item: The Test or Minitest.
+ * */
+ResultWriter.prototype.isSlow = function(item) {
+    return (this.slowThreshold > 0) &&
+           (typeof item.duration === "number") &&
+           (item.duration >= this.slowThreshold);
+}
+
+/**
+ * Returns true if the item of test content is slow, or is a test that
+ * contains anything slow, so that it should be written even if it 
+ * passed.
+ * 
+ * Parameters:
+ * - item: a test item
+ * */
+ResultWriter.prototype.containsSlow = function(item) {
+    if (item instanceof library.Minitest) {
+        return this.isSlow(item);
+    }
+    if ((item instanceof library.Test) && (!item.directive)) {
+        return this.isSlow(item) || item.contents.some(this.containsSlow.bind(this));
+    }
+    return false;
+}
+
 /**
  * Writes raw text to the output. Please don't use this except for
  * test results themselves. If you wish to write a message for the 
  * user, use writeComment or writeError instead.
  * 
  * If the message is not a string, the results of util.inspect will
- * be written instead. If the message is an Error object, the stack
- * trace will also be printed out.
+ * be written instead. If the message is an Error object, it's written
+ * with it's stack trace, see formatError.
  * 
  * If the message is multiple lines, the lineHeader will be placed at
  * the beginning of each line. A linefeed will be added to the end of the
@@ -232,12 +432,202 @@ ResultWriter.prototype.writeData = function(message,lineHeader,bold) {
             this._output.write(prefix + lines[i] + suffix);
         }
     } else if (message instanceof Error) {
-        this.writeData(util.inspect(message) + "\n" + message.stack,lineHeader,bold);
+        this.writeData(this.formatError(message),lineHeader,bold);
     } else {
         this.writeData(util.inspect(message),lineHeader,bold);
     }
 }
 
+/**
+ * Formats an Error for writing: the message from the start of it's 
+ * stack, any other properties it has, such as a 'code', it's stack 
+ * frames, cleaned up with cleanStack, and the Error that caused it, if
+ * there is one.
+ * 
+ * Parameters:
+ * - error: The Error.
+ * */
+ResultWriter.prototype.formatError = function(error) {
+    var lines = (typeof error.stack === "string") ? error.stack.split(/\n/) : [];
+    var first = 0;
+    while ((first < lines.length) && !/^\s+at /.test(lines[first])) {
+        first += 1;
+    }
+    var result = (first > 0) ? lines.slice(0,first) : [String(error)];
+    var properties = {};
+    var hasProperties = false;
+    Object.keys(error).forEach(function(key) {
+        if ((key !== "stack") && (key !== "message")) {
+            properties[key] = error[key];
+            hasProperties = true;
+        }
+    });
+    if (hasProperties) {
+        result.push(util.inspect(properties));
+    }
+    result = result.concat(this.cleanStack(lines.slice(first)));
+    if (error.cause instanceof Error) {
+        result.push("Caused by: " + this.formatError(error.cause));
+    }
+    return result.join("\n");
+}
+
+/**
+ * Cleans up the frames of a stack trace, so that the frames in the code
+ * being tested are easy to find. Frames in this framework, and in node 
+ * itself, such as timers and domains, are left out. Frames in the same
+ * package in 'node_modules' are collapsed into one line, and paths are
+ * made relative to the current directory, which is usually the root of
+ * the project. If nothing would be left, or the verbose property is 
+ * true, the frames are returned as they are.
+ * 
+ * Parameters:
+ * - frames: An array of the lines of the stack trace, such as
+ * "    at foo (/bar.js:1:2)".
+ * 
+ * Returns: An array of lines.
+ * */
+ResultWriter.prototype.cleanStack = function(frames) {
+    if (this.verbose) {
+        return frames;
+    }
+    var result = [];
+    var collapsed = null;
+    frames.forEach(function(line) {
+        var frame = library.parseStackFrame(line);
+        if (!frame) {
+            // frames like "at new Promise (<anonymous>)" are in node, 
+            // but lines which aren't frames at all might be important.
+            if (!/^\s+at /.test(line)) {
+                result.push(line);
+                collapsed = null;
+            }
+            return;
+        }
+        if (!path.isAbsolute(frame.file) || library.isFrameworkFile(frame.file)) {
+            return;
+        }
+        var name = packageName(frame.file);
+        if (name) {
+            if (collapsed && (collapsed.name === name)) {
+                collapsed.count += 1;
+            } else {
+                collapsed = { name: name, count: 1, indent: /^\s*/.exec(line)[0] };
+                result.push(collapsed);
+            }
+            return;
+        }
+        collapsed = null;
+        var index = line.lastIndexOf(frame.file);
+        if (index > -1) {
+            line = line.slice(0,index) + relativePath(frame.file) + line.slice(index + frame.file.length);
+        }
+        result.push(line);
+    });
+    if (result.length === 0) {
+        return frames;
+    }
+    return result.map(function(item) {
+        if (typeof item === "string") {
+            return item;
+        }
+        return util.format("%sat ... (%d frame%s in %s)",item.indent,item.count,item.count === 1 ? "" : "s",item.name);
+    });
+}
+
+/**
+ * Writes the differences between the 'expected' and 'actual' properties 
+ * of the message. Expected values are marked with '-', and actual values
+ * with '+'. If both values are strings, a line by line unified diff is
+ * written. If both are objects or arrays, each property path which is 
+ * different is written with it's values. Otherwise, both values are
+ * written. If the message is an Error, it's message and stack will
+ * be written around the differences.
+ * 
+ * On a TTY, the differences are colored, and long lines are cut off to
+ * fit the width instead of being wrapped.
+ * 
+ * Parameters:
+ * - message: an object with 'expected' and 'actual' properties, and
+ * optionally 'operator'.
+ * - lineHeader: The text to appear at the beginning of each line. Default is
+ * an empty string.
+ * */
+ResultWriter.prototype.writeComparison = function(message,lineHeader,bold) {
+    lineHeader = lineHeader || "";
+    var isError = message instanceof Error;
+    var heading = isError ? (message.name + ": " + String(message.message).split(/\n/)[0]) : "Comparison failed";
+    if (message.operator) {
+        heading += " (" + message.operator + ")";
+    }
+    this.writeData(heading + ", - expected + actual:",lineHeader,bold);
+    
+    var lines = this.diff(message.expected,message.actual);
+    if (lines.length > this.maxDifferences) {
+        var more = lines.length - this.maxDifferences;
+        lines = lines.slice(0,this.maxDifferences);
+        lines.push({ sign: "@", text: util.format("... %d more line%s",more,more === 1 ? "" : "s") });
+    }
+    
+    this.endProgress();
+    var prefix = (bold ? (this.boldOn + lineHeader) : lineHeader);
+    var suffix = (bold ? (this.boldOff + "\n") : "\n");
+    // room for the line header, and the sign and space.
+    var width = (this._output.isTTY && this._output.columns) ? (this._output.columns - lineHeader.length - 2) : 0;
+    lines.forEach(function(line) {
+        var color = (line.sign === "-") ? this.expectedOn : 
+                    (line.sign === "+") ? this.actualOn : 
+                    (line.sign === "@") ? this.markerOn : "";
+        // the markers are written as they are.
+        var sign = (line.sign === "@") ? "" : (line.sign + " ");
+        // long lines are wrapped as writeData does, each part with the 
+        // sign, so it's clear which side they're from.
+        var parts = (width > 0) ? wordwrap.hard(width)(line.text).split(/\n/) : [line.text];
+        parts.forEach(function(text) {
+            this._output.write(prefix + color + sign + text + (color ? this.colorOff : "") + suffix);
+        }.bind(this));
+    }.bind(this));
+    
+    if (isError && message.stack) {
+        // just the frames, the message is already written.
+        var frames = this.cleanStack(message.stack.split(/\n/).filter(function(line) {
+            return /^\s+at /.test(line);
+        }));
+        if (frames.length > 0) {
+            this.writeData(frames.join("\n"),lineHeader,bold);
+        }
+    }
+}
+
+/**
+ * Compares two values for writeComparison, returning the lines to write,
+ * as objects with a 'sign' ("-" for expected, "+" for actual, " " for 
+ * context and "@" for markers, which are written without the sign)
+ * and the 'text' of the line.
+ * 
+ * Parameters:
+ * - expected: The expected value.
+ * - actual: The actual value.
+ * */
+ResultWriter.prototype.diff = function(expected,actual) {
+    var lines;
+    if ((typeof expected === "string") && (typeof actual === "string") &&
+        ((expected.indexOf("\n") > -1) || (actual.indexOf("\n") > -1))) {
+        lines = diffLines(expected.split(/\n/),actual.split(/\n/));
+    } else if (isObject(expected) && isObject(actual)) {
+        lines = diffPaths(expected,actual);
+    }
+    if (!lines || (lines.length === 0)) {
+        // either they can't be compared in detail, or they don't
+        // look any different in detail, like 1 and "1".
+        lines = [
+            { sign: "-", text: inspectLine(expected) },
+            { sign: "+", text: inspectLine(actual) }
+        ];
+    }
+    return lines;
+}
+
 /**
  * Writes a comment out to the output. The comment will be prefixed
  * with a javascript single-line comment marker (//)
@@ -257,6 +647,10 @@ ResultWriter.prototype.writeComment = function(data,indent) {
  * with a javascript single-line comment marker plus exclamation
  * point (// !)
  * 
+ * If the data is an AssertionError, or one of the errors added by the
+ * Test assertion methods, the differences between the expected and 
+ * actual values are written instead, see writeComparison.
+ * 
  * Parameters:
  * - data: a string or object to be written
  * - indent: The spaces to indent the content. Default is
@@ -264,7 +658,11 @@ ResultWriter.prototype.writeComment = function(data,indent) {
  * */
 ResultWriter.prototype.writeError = function(data,indent) {
     indent = indent || "";
-    this.writeData(data,indent + "// ! ",true);
+    if (isComparison(data)) {
+        this.writeComparison(data,indent + "// ! ",true);
+    } else {
+        this.writeData(data,indent + "// ! ",true);
+    }
 }
 
 /**
@@ -298,3 +696,239 @@ ResultWriter.prototype.writeError = function(data,indent) {
         this._progressBarExists = false;
      }
  }
+
+// Formats a number of milliseconds for reading.
+var formatTime = function(ms) {
+    if (ms < 1000) {
+        return ms + "ms";
+    }
+    return (ms / 1000).toFixed(2) + "s";
+}
+
+// Makes a path relative to the current directory, if it's inside it. 
+// Paths outside of it are clearer as they are.
+var relativePath = function(file) {
+    var relative = path.relative(process.cwd(),file);
+    if ((relative === "") || (relative.split(path.sep)[0] === "..") || path.isAbsolute(relative)) {
+        return file;
+    }
+    return relative;
+}
+
+// Returns the name of the package in 'node_modules' that a file is in,
+// with the 'node_modules' directory, or null if it isn't in one.
+var packageName = function(file) {
+    var parts = file.split(path.sep);
+    var index = parts.lastIndexOf("node_modules");
+    if ((index === -1) || (index >= parts.length - 2)) {
+        return null;
+    }
+    var name = parts[index + 1];
+    if ((name.charAt(0) === "@") && (index < parts.length - 3)) {
+        // it's scoped.
+        name += "/" + parts[index + 2];
+    }
+    return "node_modules/" + name;
+}
+
+// Returns true if the error is one writeComparison should write: an
+// AssertionError, or one added by the Test assertion methods, which 
+// have an 'expected' and 'actual' value to compare. Other data with 
+// those properties is written as it is.
+var isComparison = function(message) {
+    if ((typeof message !== "object") || (message === null) ||
+        !("expected" in message) || !("actual" in message)) {
+        return false;
+    }
+    if (message instanceof Error) {
+        return message.name === "AssertionError";
+    }
+    return library.ASSERTION_OPERATORS.indexOf(message.operator) > -1;
+}
+
+// Returns true if the value has properties to compare.
+var isObject = function(value) {
+    return (typeof value === "object") && (value !== null) &&
+           !(value instanceof Date) && !(value instanceof RegExp) &&
+           !(value instanceof Error);
+}
+
+// Stands in for an object that contains itself, in flatten.
+var CIRCULAR = {};
+
+// Converts a value to a single line of text for a comparison.
+var inspectLine = function(value) {
+    if (value === CIRCULAR) {
+        return "[Circular]";
+    } else if (value instanceof Error) {
+        return String(value);
+    }
+    return util.inspect(value,{ breakLength: Infinity }).replace(/\n/g,"\\n");
+}
+
+// The number of unchanged lines shown around each change in a diff.
+var DIFF_CONTEXT = 3;
+// The largest number of line pairs to compare, the comparison takes
+// memory and time in proportion to this.
+var DIFF_LIMIT = 1000000;
+
+// Creates a unified diff of two arrays of lines, as an array of lines
+// for writeComparison.
+var diffLines = function(expected,actual) {
+    var ops = [];
+    var n = expected.length;
+    var m = actual.length;
+    if (n * m > DIFF_LIMIT) {
+        // Too big to compare, so just show them both. 
+        expected.forEach(function(line) {
+            ops.push({ sign: "-", text: line });
+        });
+        actual.forEach(function(line) {
+            ops.push({ sign: "+", text: line });
+        });
+    } else {
+        // Find the longest common subsequence, working backwards so 
+        // the edits can be read off forwards.
+        var lengths = [];
+        for (var i = n; i >= 0; i--) {
+            lengths[i] = [];
+            for (var j = m; j >= 0; j--) {
+                if ((i === n) || (j === m)) {
+                    lengths[i][j] = 0;
+                } else if (expected[i] === actual[j]) {
+                    lengths[i][j] = lengths[i + 1][j + 1] + 1;
+                } else {
+                    lengths[i][j] = Math.max(lengths[i + 1][j],lengths[i][j + 1]);
+                }
+            }
+        }
+        i = 0;
+        j = 0;
+        while ((i < n) || (j < m)) {
+            if ((i < n) && (j < m) && (expected[i] === actual[j])) {
+                ops.push({ sign: " ", text: expected[i], expected: i, actual: j });
+                i += 1;
+                j += 1;
+            } else if ((i < n) && ((j === m) || (lengths[i + 1][j] >= lengths[i][j + 1]))) {
+                ops.push({ sign: "-", text: expected[i], expected: i, actual: j });
+                i += 1;
+            } else {
+                ops.push({ sign: "+", text: actual[j], expected: i, actual: j });
+                j += 1;
+            }
+        }
+    }
+    
+    // group the changes into hunks with some context around them.
+    var result = [];
+    var k = 0;
+    while (k < ops.length) {
+        if (ops[k].sign === " ") {
+            k += 1;
+            continue;
+        }
+        var start = Math.max(k - DIFF_CONTEXT,0);
+        var end = k;
+        // keep going until there's enough unchanged lines to separate hunks.
+        var unchanged = 0;
+        while ((end < ops.length) && (unchanged <= DIFF_CONTEXT * 2)) {
+            unchanged = (ops[end].sign === " ") ? unchanged + 1 : 0;
+            end += 1;
+        }
+        end = Math.min(end - Math.max(unchanged - DIFF_CONTEXT,0),ops.length);
+        var hunk = ops.slice(start,end);
+        var expectedCount = hunk.filter(function(op) { return op.sign !== "+"; }).length;
+        var actualCount = hunk.filter(function(op) { return op.sign !== "-"; }).length;
+        var first = hunk[0];
+        var expectedStart = (typeof first.expected === "number") ? first.expected + 1 : 1;
+        var actualStart = (typeof first.actual === "number") ? first.actual + 1 : 1;
+        result.push({ sign: "@", text: util.format("@@ -%d,%d +%d,%d @@",expectedStart,expectedCount,actualStart,actualCount) });
+        result = result.concat(hunk.map(function(op) {
+            return { sign: op.sign, text: op.text };
+        }));
+        k = end;
+    }
+    return result;
+}
+
+// Lists the property paths which are different between two objects, as
+// an array of lines for writeComparison.
+var diffPaths = function(expected,actual) {
+    var expectedPaths = {};
+    var actualPaths = {};
+    flatten(expected,"",expectedPaths,[]);
+    flatten(actual,"",actualPaths,[]);
+    var paths = Object.keys(expectedPaths);
+    Object.keys(actualPaths).forEach(function(path) {
+        if (!expectedPaths.hasOwnProperty(path)) {
+            paths.push(path);
+        }
+    });
+    var result = [];
+    paths.forEach(function(path) {
+        var inExpected = expectedPaths.hasOwnProperty(path);
+        var inActual = actualPaths.hasOwnProperty(path);
+        if (inExpected && inActual && sameValue(expectedPaths[path],actualPaths[path])) {
+            return;
+        }
+        if (inExpected) {
+            result.push({ sign: "-", text: path + ": " + inspectLine(expectedPaths[path]) });
+        }
+        if (inActual) {
+            result.push({ sign: "+", text: path + ": " + inspectLine(actualPaths[path]) });
+        }
+    });
+    return result;
+}
+
+// Puts the values in an object into the paths object, keyed by the
+// path to reach them, such as 'a.b[0]'. Empty objects and arrays are
+// values themselves, so they aren't lost. 
+var flatten = function(value,path,paths,seen) {
+    if (!isObject(value)) {
+        paths[path || "(value)"] = value;
+        return;
+    }
+    if (seen.indexOf(value) > -1) {
+        paths[path || "(value)"] = CIRCULAR;
+        return;
+    }
+    var isArray = Array.isArray(value);
+    var keys = Object.keys(value);
+    if (keys.length === 0) {
+        paths[path || "(value)"] = isArray ? [] : {};
+        return;
+    }
+    seen.push(value);
+    keys.forEach(function(key) {
+        var childPath;
+        if (isArray) {
+            childPath = path + "[" + key + "]";
+        } else if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+            childPath = path ? (path + "." + key) : key;
+        } else {
+            childPath = path + "[" + JSON.stringify(key) + "]";
+        }
+        flatten(value[key],childPath,paths,seen);
+    });
+    seen.pop();
+}
+
+// Compares two values found by flatten.
+var sameValue = function(a,b) {
+    if ((a === CIRCULAR) || (b === CIRCULAR)) {
+        return a === b;
+    }
+    if (isObject(a) && isObject(b)) {
+        // only empty objects and arrays get here.
+        return Array.isArray(a) === Array.isArray(b);
+    }
+    if ((a instanceof Date) && (b instanceof Date)) {
+        return a.getTime() === b.getTime();
+    }
+    if ((a instanceof RegExp) && (b instanceof RegExp)) {
+        return String(a) === String(b);
+    }
+    // NaN isn't equal to itself.
+    return (a === b) || ((a !== a) && (b !== b));
+}
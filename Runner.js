@@ -0,0 +1,755 @@
+/**
+ * This module defines an object which finds test files, loads them,
+ * waits for the root tests they create to finish, and writes the
+ * combined results. It's used by the 'stf' command in bin, but it can
+ * be used on it's own as well.
+ * */
+
+var fs = require("fs");
+var childProcess = require("child_process");
+var path = require("path");
+var util = require("util");
+var library = require("./library");
+var ResultWriter = require("./ResultWriter");
+var test = require("./index");
+var snapshot = require("./snapshot");
+
+// See the note on the real timers in library.js.
+var setTimeout = global.setTimeout;
+var clearTimeout = global.clearTimeout;
+var setInterval = global.setInterval;
+var clearInterval = global.clearInterval;
+var Date = global.Date;
+
+/**
+ * A Runner runs test files, collecting all of the root tests created with
+ * the main test function while each file is loaded. Each file gets it's
+ * own Test, named after the file, which contains the root tests from the
+ * file, and those are all put into a single Test for the whole run. That
+ * way, the results of the run can be written out in one summary, and
+ * the whole run only passes if all of the root tests passed.
+ *
+ * Note that only root tests created while the file is being loaded
+ * are collected. Root tests created later, such as in the body of
+ * another test or in an asynchronous callback, are run as they would
+ * be without the Runner.
+ *
+ * Options:
+ * - timeout: A default timeout for the root tests. See the options for
+ * the main test function.
+ * - filter: A default name filter for the root tests. See the options
+ * for the main test function. If none of the root tests match it, the
+ * results get an error, since it's probably a mistake.
+ * - writer: The writer to write the combined results with, following the
+ * API of ResultWriter. If specifically set to null, the results will not
+ * be written. If undefined, a new ResultWriter will be used with the
+ * value of options.output. Root tests do not write their own results,
+ * unless they were given a writer themselves.
+ * - output: The stream to write the results to, ignored if options.writer
+ * is defined.
+ * - name: The name of the Test containing the results of the whole run.
+ * - isolate: If true, each test file is run in it's own child process,
+ * one at a time, see Runner.prototype.runIsolated.
+ * - hangTimeout: When isolating, the number of milliseconds a child 
+ * process can go without responding before it's killed. The default
+ * is 10000.
+ * - watchDelay: When watching, the number of milliseconds to wait after
+ * a file changes before running the tests again, so that several 
+ * changes saved at once only cause one run. The default is 100.
+ * - durations, slow, slowest, verbose: How to show the time taken by the
+ * tests, and the stacks of errors, see the options for the main test 
+ * function. These apply to the combined results.
+ * - updateSnapshots: If true, Test.prototype.matchSnapshot replaces the
+ * stored snapshots, see the options for the main test function. After
+ * the results, a comment lists the snapshots which no test used, for
+ * each test file which passed, unless a filter was used. If this is 
+ * true, those are removed.
+ * - keepTmpOnFailure: If true, the temporary files created by tests which
+ * fail are kept, see the options for the main test function.
+ *
+ * Parameters:
+ * - options: An optional options object, see above.
+ * */
+var Runner = module.exports = function(options) {
+    options = options || {};
+    /**
+     * The default timeout for root tests, or undefined to use the
+     * normal default.
+     * */
+    this.timeout = options.timeout;
+    /**
+     * The default name filter for root tests, or undefined to use the
+     * normal default.
+     * */
+    this.filter = options.filter;
+    /**
+     * The writer that the results are written to, or null.
+     * */
+    this.writer = (typeof options.writer === "undefined") ? new ResultWriter(options.output) : options.writer;
+    /**
+     * The name of the Test containing the results of the run.
+     * */
+    this.name = options.name || "Test files";
+    /**
+     * The number of slow tests to list after the results, or undefined
+     * not to list them.
+     * */
+    this.slowest = options.slowest;
+    /**
+     * Whether each file is run in it's own child process.
+     * */
+    this.isolate = !!options.isolate;
+    /**
+     * When isolating, how long a child process can go without responding.
+     * */
+    this.hangTimeout = options.hangTimeout || DEFAULT_HANG_TIMEOUT;
+    /**
+     * When watching, how long to wait after a change before running again.
+     * */
+    this.watchDelay = (typeof options.watchDelay === "number") ? options.watchDelay : DEFAULT_WATCH_DELAY;
+    /**
+     * Maps the absolute path of each test file which has been run to an
+     * array of the modules it loaded, including itself. See 
+     * Runner.prototype.findDependencies.
+     * */
+    this.dependencies = {};
+    /**
+     * Whether snapshots are replaced, or undefined to use the normal
+     * default.
+     * */
+    this.updateSnapshots = options.updateSnapshots;
+    /**
+     * Whether the temporary files of tests which fail are kept, or 
+     * undefined to use the normal default.
+     * */
+    this.keepTmpOnFailure = options.keepTmpOnFailure;
+    /**
+     * Maps the absolute path of each snapshot file to an array of the 
+     * obsolete snapshots found in it by the last run. See 
+     * Runner.prototype.findObsoleteSnapshots.
+     * */
+    this.obsoleteSnapshots = {};
+    if (this.writer) {
+        if (typeof options.durations !== "undefined") {
+            this.writer.showDurations = options.durations;
+        }
+        if (typeof options.slow !== "undefined") {
+            this.writer.slowThreshold = options.slow;
+        }
+        if (typeof options.verbose !== "undefined") {
+            this.writer.verbose = options.verbose;
+        }
+    }
+}
+
+/**
+ * Finds the test files for a list of file names, directory names and
+ * glob patterns. Directories are searched recursively for '.js' files.
+ * Globs may contain '*', '?' and '**', which matches any number of
+ * directories. Hidden files and 'node_modules' directories are skipped
+ * when searching directories or matching globs.
+ *
+ * Parameters:
+ * - patterns: An array of strings to find files for.
+ *
+ * Returns: An object with two properties: 'files', an array of the
+ * absolute paths of the test files found, without duplicates, and
+ * 'unmatched', an array of the patterns which didn't find any files.
+ * */
+Runner.prototype.findFiles = function(patterns) {
+    var result = {
+        files: [],
+        unmatched: []
+    }
+    patterns.forEach(function(pattern) {
+        var found;
+        if (/[*?]/.test(pattern)) {
+            found = findGlob(pattern);
+        } else {
+            var file = path.resolve(pattern);
+            var stats = statOrNull(file);
+            if (!stats) {
+                found = [];
+            } else if (stats.isDirectory()) {
+                found = walk(file).filter(function(file) {
+                    return path.extname(file) === ".js";
+                });
+            } else {
+                found = [file];
+            }
+        }
+        if (found.length === 0) {
+            result.unmatched.push(pattern);
+        }
+        found.forEach(function(file) {
+            if (result.files.indexOf(file) === -1) {
+                result.files.push(file);
+            }
+        });
+    });
+    return result;
+}
+
+/**
+ * Runs the test files found for the patterns (see Runner.prototype.findFiles),
+ * and writes the combined results out once every root test is finished.
+ * Patterns which don't match any file are reported as errors.
+ *
+ * Parameters:
+ * - patterns: An array of file names, directory names and globs.
+ * - cb: An optional function, which will be passed the Test containing
+ * the combined results once they've been written.
+ *
+ * Returns: The Test containing the combined results, which will not
+ * be completed yet if any tests are asynchronous.
+ * */
+Runner.prototype.run = function(patterns,cb) {
+    var writer = this.writer;
+    var slowest = this.slowest;
+    var progressTimer = null;
+    var found = this.findFiles(patterns);
+    var result = new library.Test(this.name,0,function() {
+        if (progressTimer) {
+            clearInterval(progressTimer);
+        }
+        if (!this.isolate) {
+            // This is done now, instead of after loading, to catch the
+            // modules which were required by the tests as they ran.
+            found.files.forEach(function(file,i) {
+                this.dependencies[file] = this.findDependencies(file);
+                this.obsoleteSnapshots[snapshot.fileFor(file)] = this.findObsoleteSnapshots(file,fileResults[i]);
+            }.bind(this));
+        }
+        if (this._filterMissed(result)) {
+            // this is usually a mistake in the filter, and shouldn't look
+            // like everything passed.
+            result.error("No tests matched the filter.");
+        }
+        if (writer) {
+            // See the note on the same code in index.js
+            try {
+                writer.writeTest(result);
+                if (slowest > 0) {
+                    test.writeSlowest(writer,result,slowest);
+                }
+                var obsolete = {};
+                found.files.forEach(function(file) {
+                    var snapshots = snapshot.fileFor(file);
+                    if (this.obsoleteSnapshots[snapshots]) {
+                        obsolete[snapshots] = this.obsoleteSnapshots[snapshots];
+                    }
+                }.bind(this));
+                var description = snapshot.describeObsolete(obsolete,this._updating());
+                if (description) {
+                    writer.writeComment(description);
+                }
+                if (result.isPassed()) {
+                    writer.writeComment("Everything's good!");
+                }
+            } catch (e) {
+                console.error(e.stack);
+            }
+        }
+        if (typeof cb === "function") {
+            cb(result);
+        }
+    }.bind(this));
+    if (writer && (typeof writer.streamTest === "function")) {
+        writer.streamTest(result);
+    } else if (writer) {
+        // See the note on the same code in index.js
+        progressTimer = setInterval(function() {
+            writer.showProgress("Running tests:");
+        },500);
+    }
+    found.unmatched.forEach(function(pattern) {
+        result.error("No test files found for '" + pattern + "'");
+    });
+    found.files.forEach(function(file) {
+        // in case this is being run again, and something goes wrong.
+        delete this.obsoleteSnapshots[snapshot.fileFor(file)];
+    }.bind(this));
+    if (this.isolate) {
+        // The files are added first, so they're in the results even if
+        // something goes wrong, and then run one at a time.
+        var files = found.files.map(function(file) {
+            return {
+                file: file,
+                test: result.test(path.relative(process.cwd(),path.resolve(file)),0)
+            };
+        });
+        var next = function() {
+            var item = files.shift();
+            if (item) {
+                this.runIsolated(item.file,item.test,next);
+            }
+        }.bind(this);
+        next();
+    } else {
+        var fileResults = found.files.map(function(file) {
+            return this.runFile(file,result);
+        }.bind(this));
+    }
+    result.finish();
+    return result;
+}
+
+/**
+ * Loads a single test file, adding a subtest named after the file to the
+ * parent, and adding any root tests created while loading to that subtest.
+ * If the file throws an error while loading, the subtest will bail.
+ *
+ * Parameters:
+ * - file: The path to the file to load.
+ * - parent: The Test to add the subtest for the file to.
+ *
+ * Returns: The subtest for the file.
+ * */
+Runner.prototype.runFile = function(file,parent) {
+    file = path.resolve(file);
+    var result = parent.test(path.relative(process.cwd(),file),0);
+    var previousParent = test.parent;
+    var previousDefaults = test.defaults;
+    test.parent = result;
+    test.defaults = {
+        writer: null
+    };
+    if (typeof this.timeout !== "undefined") {
+        test.defaults.timeout = this.timeout;
+    }
+    if (typeof this.filter !== "undefined") {
+        test.defaults.filter = this.filter;
+    }
+    if (typeof this.updateSnapshots !== "undefined") {
+        test.defaults.updateSnapshots = this.updateSnapshots;
+    }
+    if (typeof this.keepTmpOnFailure !== "undefined") {
+        test.defaults.keepTmpOnFailure = this.keepTmpOnFailure;
+    }
+    // read the snapshots again, in case this is being run again.
+    snapshot.forget(snapshot.fileFor(file));
+    try {
+        require(file);
+    } catch (e) {
+        result.error(e);
+        result.finish("bail");
+    } finally {
+        test.parent = previousParent;
+        test.defaults = previousDefaults;
+    }
+    if (!result.finished) {
+        // the root tests are pending, so this won't report to the
+        // parent until they're done.
+        result.finish();
+    }
+    return result;
+}
+
+/**
+ * Runs a single test file in a child process, so that if it crashes,
+ * calls process.exit, or gets stuck in a loop, the rest of the run 
+ * isn't affected. The child loads the file the same way as 
+ * Runner.prototype.runFile, and sends the results back (see isolate.js).
+ * Those are put into the test given for the file, which finishes it.
+ * 
+ * If the child process exits before the tests are done, or doesn't
+ * respond within the hangTimeout and is killed, the test for the file
+ * gets whatever results were last sent, an error explaining what 
+ * happened, and the finishReason "exit" or "hang".
+ * 
+ * Parameters:
+ * - file: The path to the file to run.
+ * - result: The Test to put the results in, which should have been
+ * created for the file, and not finished.
+ * - cb: An optional function to call when the child process is gone.
+ * */
+Runner.prototype.runIsolated = function(file,result,cb) {
+    var options = {};
+    if (typeof this.timeout !== "undefined") {
+        options.timeout = this.timeout;
+    }
+    if (typeof this.filter !== "undefined") {
+        // RegExps don't survive JSON, so send it as a string, which 
+        // parseFilter can read.
+        var levels = library.Test.parseFilter(this.filter);
+        if (levels) {
+            options.filter = levels.map(function(level) {
+                // a filter on the whole path is written the same way, as
+                // the only level.
+                level = level.pattern || level;
+                return (level instanceof RegExp) ? "/" + level.source + "/" + level.flags : level;
+            }).join(" > ");
+        }
+    }
+    if (typeof this.updateSnapshots !== "undefined") {
+        options.updateSnapshots = this.updateSnapshots;
+    }
+    if (typeof this.keepTmpOnFailure !== "undefined") {
+        options.keepTmpOnFailure = this.keepTmpOnFailure;
+    }
+    // Updates are sent often enough that a few can be missed before
+    // the child is considered hung.
+    var updateInterval = Math.min(1000,Math.ceil(this.hangTimeout / 4));
+    var child = childProcess.fork(path.join(__dirname,"isolate.js"),[path.resolve(file),JSON.stringify(options),String(updateInterval)]);
+    var latest = null;
+    var done = false;
+    var hung = false;
+    var lastHeard = Date.now();
+    var hangTimeout = this.hangTimeout;
+    var watchdog = setInterval(function() {
+        if (Date.now() - lastHeard > hangTimeout) {
+            hung = true;
+            child.kill("SIGKILL");
+        }
+    },Math.min(hangTimeout,1000));
+    child.on("message",function(message) {
+        lastHeard = Date.now();
+        if (message && (typeof message.test === "string")) {
+            latest = message.test;
+            if (message.type === "done") {
+                done = true;
+                if (Array.isArray(message.modules)) {
+                    this.dependencies[path.resolve(file)] = message.modules;
+                }
+                if (Array.isArray(message.obsolete)) {
+                    this.obsoleteSnapshots[snapshot.fileFor(path.resolve(file))] = message.obsolete;
+                }
+                result._finishWith(library.Test.fromJSON(JSON.parse(latest)));
+            }
+        }
+    }.bind(this));
+    child.on("exit",function(code,signal) {
+        clearInterval(watchdog);
+        if (!done) {
+            var partial = latest ? library.Test.fromJSON(JSON.parse(latest)) : new library.Test(result.name,0);
+            if (hung) {
+                partial.error("The test file stopped responding for " + hangTimeout + " milliseconds, so it was killed.");
+            } else {
+                partial.error("The test file exited before it's tests were done, " + (signal ? "with the signal " + signal : "with the code " + code) + ".");
+            }
+            result._finishWith(partial,hung ? "hang" : "exit");
+        }
+        if (typeof cb === "function") {
+            cb();
+        }
+    });
+}
+
+/**
+ * Finds the snapshots kept for a test file which none of it's tests 
+ * used, and removes them if updateSnapshots is true. If the tests didn't
+ * pass, or were filtered, nothing is looked for, since the tests which
+ * didn't run all the way through might not have reached their snapshots.
+ * This should be called after the file has been run.
+ * 
+ * Parameters:
+ * - file: The path to the test file.
+ * - result: The Test for the file, see Runner.prototype.runFile.
+ * 
+ * Returns: An array of the keys of the obsolete snapshots.
+ * */
+Runner.prototype.findObsoleteSnapshots = function(file,result) {
+    if (!result.isPassed() || library.Test.parseFilter((typeof this.filter === "undefined") ? process.env.STF_FILTER : this.filter)) {
+        return [];
+    }
+    return snapshot.findObsolete(snapshot.fileFor(path.resolve(file)),null,this._updating());
+}
+
+// Returns true if there's a name filter, and none of the root tests in 
+// the results for the files matched it.
+Runner.prototype._filterMissed = function(result) {
+    if (!library.Test.parseFilter((typeof this.filter === "undefined") ? process.env.STF_FILTER : this.filter)) {
+        return false;
+    }
+    return !result.contents.some(function(file) {
+        return (file instanceof library.Test) && file.contents.some(function(root) {
+            return (root instanceof library.Test) && (root.directive !== "filter");
+        });
+    });
+}
+
+// Returns whether snapshots are being replaced, with the same default
+// as the main test function.
+Runner.prototype._updating = function() {
+    return (typeof this.updateSnapshots === "undefined") ? 
+           ((process.env.STF_UPDATE_SNAPSHOTS || "0") !== "0") : !!this.updateSnapshots;
+}
+
+// The default for Runner.hangTimeout.
+var DEFAULT_HANG_TIMEOUT = 10000;
+
+/**
+ * Finds the modules which were loaded by a test file, directly or 
+ * through other modules, by following the children of it's module in
+ * the require cache. Modules in 'node_modules' directories, and the
+ * modules of this framework, are left out, since they aren't expected to
+ * change while watching. So this should be called after the file has 
+ * been run, and before it's removed from the require cache.
+ * 
+ * Parameters:
+ * - file: The path to the test file.
+ * 
+ * Returns: An array of the absolute paths of the modules, starting
+ * with the test file itself.
+ * */
+Runner.prototype.findDependencies = function(file) {
+    file = path.resolve(file);
+    var found = [];
+    var visit = function(filename) {
+        if ((found.indexOf(filename) > -1) || 
+            ((filename !== file) && !isWatchable(filename))) {
+            return;
+        }
+        found.push(filename);
+        var loaded = require.cache[filename];
+        if (loaded) {
+            loaded.children.forEach(function(child) {
+                visit(child.filename);
+            });
+        }
+    }
+    visit(file);
+    return found;
+}
+
+/**
+ * Runs the test files found for the patterns, as with Runner.prototype.run,
+ * and then watches them, and the modules they loaded (see 
+ * Runner.prototype.findDependencies), for changes. When some of them 
+ * change, the changed modules, and any modules which loaded them, are 
+ * removed from the require cache, and the test files which depend on 
+ * them are run again, writing a new summary for just those files. 
+ * Changes made during a run are saved up for the next one.
+ * 
+ * Test files which are added after the watch is started aren't noticed.
+ * 
+ * Parameters:
+ * - patterns: An array of file names, directory names and globs.
+ * - cb: An optional function, which will be passed the Test containing
+ * the results of each run, once they've been written.
+ * 
+ * Returns: An object with a 'close' method, which stops watching. A run
+ * which is already going will still finish.
+ * */
+Runner.prototype.watch = function(patterns,cb) {
+    var runner = this;
+    var watchers = {};
+    var changed = [];
+    var running = false;
+    var closed = false;
+    var delay = null;
+    
+    // Watches every module in the dependencies which isn't being watched,
+    // and stops watching the ones which aren't needed anymore.
+    var update = function() {
+        var wanted = {};
+        Object.keys(runner.dependencies).forEach(function(file) {
+            runner.dependencies[file].forEach(function(filename) {
+                wanted[filename] = true;
+            });
+        });
+        Object.keys(watchers).forEach(function(filename) {
+            if (!wanted[filename]) {
+                watchers[filename].close();
+                delete watchers[filename];
+            }
+        });
+        Object.keys(wanted).forEach(function(filename) {
+            if (!watchers[filename]) {
+                try {
+                    watchers[filename] = fs.watch(filename,function(event) {
+                        if (event === "rename") {
+                            // Many editors save by replacing the file, which
+                            // leaves this watching nothing, so it's watched
+                            // again after the next run.
+                            watchers[filename].close();
+                            delete watchers[filename];
+                        }
+                        onChange(filename);
+                    });
+                } catch (e) {
+                    // It's been deleted, which was a change that's 
+                    // already been seen.
+                }
+            }
+        });
+    }
+    
+    var onChange = function(filename) {
+        if (closed) {
+            return;
+        }
+        if (changed.indexOf(filename) === -1) {
+            changed.push(filename);
+        }
+        clearTimeout(delay);
+        delay = setTimeout(rerun,runner.watchDelay);
+    }
+    
+    var rerun = function() {
+        delay = null;
+        if (running || closed || (changed.length === 0)) {
+            return;
+        }
+        var files = Object.keys(runner.dependencies).filter(function(file) {
+            return runner.dependencies[file].some(function(filename) {
+                return changed.indexOf(filename) > -1;
+            });
+        });
+        clearModules(changed);
+        if (runner.writer) {
+            runner.writer.writeComment(util.format("Changed: %s\nRunning %d test file%s again.",
+                                                   changed.map(function(filename) {
+                                                       return path.relative(process.cwd(),filename);
+                                                   }).join(", "),
+                                                   files.length,files.length === 1 ? "" : "s"));
+        }
+        changed = [];
+        start(files);
+    }
+    
+    var start = function(files) {
+        running = true;
+        runner.run(files,function(result) {
+            running = false;
+            if (!closed) {
+                update();
+            }
+            if (typeof cb === "function") {
+                cb(result);
+            }
+            // pick up anything that changed during the run.
+            if (!delay) {
+                rerun();
+            }
+        });
+    }
+    
+    start(patterns);
+    return {
+        close: function() {
+            closed = true;
+            clearTimeout(delay);
+            Object.keys(watchers).forEach(function(filename) {
+                watchers[filename].close();
+            });
+            watchers = {};
+        }
+    };
+}
+
+// The default for Runner.watchDelay.
+var DEFAULT_WATCH_DELAY = 100;
+
+// Returns true if a module can be a dependency, see findDependencies.
+var isWatchable = function(filename) {
+    return (filename.split(path.sep).indexOf("node_modules") === -1) &&
+           (path.dirname(filename) !== __dirname);
+}
+
+// Removes the changed modules from the require cache, along with every
+// module which loaded them, directly or not, so that they're all loaded
+// fresh the next time they're required. Modules which can't be 
+// dependencies are left alone, especially this one, since it loads all
+// of the test files, and clearing it would start things over.
+var clearModules = function(changed) {
+    var memo = {};
+    var dependsOn = function(loaded) {
+        if (memo.hasOwnProperty(loaded.filename)) {
+            return memo[loaded.filename];
+        }
+        if (!isWatchable(loaded.filename)) {
+            return false;
+        }
+        // in case of a cycle.
+        memo[loaded.filename] = false;
+        memo[loaded.filename] = (changed.indexOf(loaded.filename) > -1) || loaded.children.some(dependsOn);
+        return memo[loaded.filename];
+    }
+    Object.keys(require.cache).filter(function(filename) {
+        return dependsOn(require.cache[filename]);
+    }).forEach(function(filename) {
+        delete require.cache[filename];
+    });
+}
+
+// Returns the fs.Stats for a file, or null if it doesn't exist.
+var statOrNull = function(file) {
+    try {
+        return fs.statSync(file);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Returns true if the file name should be skipped when searching
+// directories.
+var isSkipped = function(name) {
+    return (name.charAt(0) === ".") || (name === "node_modules");
+}
+
+// Returns the absolute paths of all of the files in a directory and
+// it's subdirectories, in sorted order.
+var walk = function(dir) {
+    var result = [];
+    fs.readdirSync(dir).sort().forEach(function(name) {
+        if (isSkipped(name)) {
+            return;
+        }
+        var file = path.join(dir,name);
+        var stats = statOrNull(file);
+        if (stats && stats.isDirectory()) {
+            result = result.concat(walk(file));
+        } else if (stats) {
+            result.push(file);
+        }
+    });
+    return result;
+}
+
+// Returns the absolute paths of the files matching a glob pattern. The
+// directories at the beginning of the pattern without any wildcards
+// are searched for files matching the rest of the pattern.
+var findGlob = function(pattern) {
+    var parts = pattern.split(/[\\\/]/);
+    var base = [];
+    while ((parts.length > 1) && !/[*?]/.test(parts[0])) {
+        base.push(parts.shift());
+    }
+    base = path.resolve(base.join("/") || ".");
+    var stats = statOrNull(base);
+    if (!stats || !stats.isDirectory()) {
+        return [];
+    }
+    var matcher = globToRegExp(parts.join("/"));
+    return walk(base).filter(function(file) {
+        return matcher.test(path.relative(base,file).split(path.sep).join("/"));
+    });
+}
+
+// Converts the wildcards in a glob pattern into a regular expression.
+var globToRegExp = function(glob) {
+    var source = "";
+    for (var i = 0; i < glob.length; i++) {
+        var c = glob.charAt(i);
+        if (c === "*") {
+            if (glob.charAt(i + 1) === "*") {
+                i += 1;
+                if (glob.charAt(i + 1) === "/") {
+                    // '**/' matches any number of directories, including none.
+                    i += 1;
+                    source += "(?:.*/)?";
+                } else {
+                    source += ".*";
+                }
+            } else {
+                source += "[^/]*";
+            }
+        } else if (c === "?") {
+            source += "[^/]";
+        } else {
+            source += c.replace(/[\\^$.|+()\[\]{}]/,"\\$&");
+        }
+    }
+    return new RegExp("^" + source + "$");
+}
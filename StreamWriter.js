@@ -0,0 +1,138 @@
+/**
+ * This module defines an object which writes the results to a stream
+ * as they happen, instead of all at once when the test is done. It 
+ * fulfills the same API as ResultWriter, and adds streamTest.
+ * */
+
+var library = require("./library");
+var ResultWriter = require("./ResultWriter");
+var util = require('util');
+
+/**
+ * A StreamWriter listens to the events of a running Test (see 
+ * Test.prototype.on), and writes each subtest, Minitest and annotation
+ * as soon as it's added. Each test gets a line when it starts, which 
+ * for a subtest waiting for it's turn (see Test.queued) is when it 
+ * leaves the queue, not when it's added, and a summary line, the same as ResultWriter writes, when it's completed.
+ * Subtests are indented under the test that started them. If subtests
+ * run at the same time, their lines will be mixed together, but the 
+ * indent still shows how deep they are.
+ * 
+ * When the test is done, writeTest only writes the details of what
+ * failed, since everything else was already written. Calling writeTest
+ * for a test which wasn't streamed writes it the same as ResultWriter.
+ * 
+ * Parameters:
+ * - stream: The stream to write to, optional.
+ * */
+var StreamWriter = module.exports = function(stream) {
+    ResultWriter.call(this,stream);
+    
+    // The tests passed to streamTest, so writeTest knows what's been
+    // written already.
+    this._streamed = [];
+}
+util.inherits(StreamWriter,ResultWriter);
+
+/**
+ * Starts writing the results of a test as they happen, including the 
+ * results of all of it's subtests. Anything already in the test is
+ * written immediately.
+ * 
+ * Parameters:
+ * - test: The results.Test object to write.
+ * - indent: a set of spaces to indent lines with. Default is an empty string.
+ * */
+StreamWriter.prototype.streamTest = function(test,indent) {
+    indent = indent || "";
+    if (this._streamed.indexOf(test) === -1) {
+        this._streamed.push(test);
+    }
+    this.streamSubtest(test,indent);
+}
+
+/**
+ * Does the work of streamTest for the test and each of it's subtests.
+ * 
+ * Parameters:
+ * - test: The results.Test object to write.
+ * - indent: a set of spaces to indent lines with.
+ * */
+StreamWriter.prototype.streamSubtest = function(test,indent) {
+    if (test.directive || (test.endTime !== null)) {
+        // it wasn't run, or it's already done, so there's nothing to
+        // wait for.
+        ResultWriter.prototype.writeTest.call(this,test,indent);
+        return;
+    }
+    var inner = indent + this.indentIncrease;
+    var me = this;
+    if (test.queued) {
+        test.on("start",function() {
+            me.writeData("started -- " + test.name,indent);
+        });
+    } else {
+        this.writeData("started -- " + test.name,indent);
+    }
+    test.contents.forEach(function(item) {
+        this.streamItem(item,inner);
+    }.bind(this));
+    
+    var write = function(item) {
+        me.streamItem(item,inner);
+    }
+    test.on("subtest",write);
+    test.on("minitest",write);
+    test.on("annotation",write);
+    test.on("cleanup",function() {
+        me.writeData(me.formatSummary(test),indent);
+    });
+}
+
+/**
+ * Writes an item of test content as it's added, streaming it if it's
+ * a test.
+ * 
+ * Parameters:
+ * - item: a test item
+ * - indent: The spaces to indent the content.
+ * */
+StreamWriter.prototype.streamItem = function(item,indent) {
+    if (item instanceof library.Test) {
+        this.streamSubtest(item,indent);
+    } else {
+        this.writeTestContent(item,indent);
+    }
+}
+
+/**
+ * Writes the results of the test to the output. If the test was passed 
+ * to streamTest, only what failed is written, under a heading, since 
+ * the rest was written as it happened. Otherwise, this is the same as 
+ * ResultWriter.prototype.writeTest.
+ * 
+ * Parameters:
+ * - test: The results.Test object containing the results.
+ * - indent: a set of spaces to indent lines with. Default is an empty string.
+ * */
+StreamWriter.prototype.writeTest = function(test,indent) {
+    if (this._streamed.indexOf(test) === -1) {
+        ResultWriter.prototype.writeTest.call(this,test,indent);
+    } else if (!test.isPassed()) {
+        this.writeComment("Failures:",indent);
+        ResultWriter.prototype.writeTest.call(this,test,indent);
+    }
+}
+
+/**
+ * The results are already being written as they happen, so there's no
+ * need for a progress bar. This does nothing.
+ * */
+StreamWriter.prototype.showProgress = function(message,indent) {
+}
+
+/**
+ * See showProgress.
+ * */
+StreamWriter.prototype.endProgress = function() {
+}
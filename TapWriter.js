@@ -0,0 +1,354 @@
+/**
+ * This module defines an object which can write the results to a stream
+ * in the Test Anything Protocol (TAP), version 13. It fulfills the same
+ * API as ResultWriter, so it can be used anywhere that one is.
+ * */
+
+var library = require("./library");
+var util = require('util');
+
+/**
+ * A TapWriter accepts a Test results object and writes it's data out
+ * to a stream as a TAP version 13 document. If the stream isn't set,
+ * this will default to stdout.
+ *
+ * Nested Test objects are written as indented subtests, Minitests are
+ * written as 'ok' or 'not ok' lines, and errors are written as YAML
+ * diagnostic blocks. An error which immediately follows a Minitest is
+ * attached to that Minitest, any other error is attached to the Test
+ * it was added to.
+ *
+ * NOTE: As with ResultWriter, the stream object doesn't have to be a
+ * real stream, it only needs a method called 'write'.
+ *
+ * Parameters:
+ * - stream: The stream to write to, optional.
+ * */
+var TapWriter = module.exports = function(stream) {
+    this._output = stream || process.stdout;
+
+    /**
+     * Specifies the string to concatenate onto the indent when nested
+     * subtests are output. TAP 13 consumers expect four spaces.
+     * */
+    this.indentIncrease = "    ";
+}
+
+/**
+ * Writes the results of the test to the output as a complete TAP
+ * document: the version line, the test as a single subtest, and a plan.
+ * As with ResultWriter, this should really only be called after the
+ * test is completed, but it will work if it isn't.
+ *
+ * Parameters:
+ * - test: The results.Test object containing the results.
+ * - indent: a set of spaces to indent lines with. Default is an empty string.
+ * */
+TapWriter.prototype.writeTest = function(test,indent) {
+    indent = indent || "";
+    this.writeData("TAP version 13",indent);
+    this.writeSubtest(test,1,indent);
+    this.writeData("1..1",indent);
+}
+
+/**
+ * Writes a test as a subtest, with it's contents indented, followed
+ * by the test point line that reports it's result to the parent.
+ *
+ * Parameters:
+ * - test: The results.Test object containing the results.
+ * - number: The number of the test point in the parent.
+ * - indent: The spaces to indent the test point with. The contents
+ * will be indented further.
+ * */
+TapWriter.prototype.writeSubtest = function(test,number,indent) {
+    indent = indent || "";
+    if (test.directive) {
+        // it wasn't run, so there's nothing in it to write.
+        this.writePoint(true,number,test.name,indent,test.directive,test.directiveReason);
+        return;
+    }
+    var inner = indent + this.indentIncrease;
+    this.writeData("# Subtest: " + test.name,inner);
+
+    var count = 0;
+    // errors which don't belong to a Minitest are reported with the test.
+    var errors = [];
+    var contents = test.contents;
+    for (var i = 0; i < contents.length; i++) {
+        var item = contents[i];
+        if (item instanceof library.Minitest) {
+            count += 1;
+            // collect the errors immediately following this Minitest, they
+            // were most likely added to explain it.
+            var itemErrors = [];
+            while ((i + 1 < contents.length) &&
+                   (contents[i + 1] instanceof library.Annotation) &&
+                   (contents[i + 1].kind === "error")) {
+                i += 1;
+                itemErrors.push(contents[i].data);
+            }
+            // TAP expects skipped test points to be 'ok', and todo test
+            // points to be 'not ok' until they're done.
+            this.writePoint(item.passed || (item.directive === "skip"),count,item.name,inner,item.directive,item.directiveReason);
+            if (itemErrors.length > 0) {
+                this.writeDiagnostic({ errors: itemErrors },inner);
+            }
+        } else if (item instanceof library.Test) {
+            count += 1;
+            this.writeSubtest(item,count,inner);
+        } else if (item instanceof library.Annotation) {
+            switch (item.kind) {
+                case "error":
+                    errors.push(item.data);
+                    break;
+                case "comment":
+                    this.writeComment(item.data,inner);
+                    break;
+                default:
+                    // See the similar note in ResultWriter.writeTestContent
+                    this.writeComment(item.data,inner + "???? ");
+                    break;
+            }
+        } else {
+            // See the similar note in ResultWriter.writeTestContent
+            this.writeComment(item,inner + "??? ");
+        }
+    }
+    // If tests were planned, report the plan so that TAP consumers can
+    // see whether tests were missing, or if there were too many.
+    this.writeData("1.." + ((test.expected !== null) ? test.expected : count),inner);
+
+    var passed = test.isPassed();
+    this.writePoint(passed,number,test.name,indent);
+    if (!passed) {
+        var diagnostic = {};
+        if (!test.isCompleted()) {
+            diagnostic.incomplete = true;
+        }
+        if (test.finishReason) {
+            diagnostic.finishReason = test.finishReason;
+        }
+        diagnostic.passed = test.passed;
+        diagnostic.failed = test.failed;
+        if (test.skipped) {
+            diagnostic.skipped = test.skipped;
+        }
+        if (test.todos) {
+            diagnostic.todos = test.todos;
+        }
+        diagnostic.total = test.total;
+        if (test.expected !== null) {
+            diagnostic.expected = test.expected;
+        }
+        if (test.pending !== 0) {
+            diagnostic.pending = test.pending;
+        }
+        if (errors.length > 0) {
+            diagnostic.errors = errors;
+        }
+        this.writeDiagnostic(diagnostic,indent);
+    }
+}
+
+/**
+ * Writes a single test point line.
+ *
+ * Parameters:
+ * - passed: whether to write an 'ok' or a 'not ok'.
+ * - number: The number of the test point.
+ * - name: The description of the test point.
+ * - indent: The spaces to indent the line with.
+ * - directive: Optional, "skip", "filter" or "todo", which will be added as
+ * a TAP directive.
+ * - reason: Optional explanation to add after the directive.
+ * */
+TapWriter.prototype.writePoint = function(passed,number,name,indent,directive,reason) {
+    // A '#' in the description would start a directive, so escape it.
+    name = String(name).replace(/\\/g,"\\\\").replace(/#/g,"\\#").replace(/\n/g," ");
+    var line = util.format("%s %d - %s",passed ? "ok" : "not ok",number,name);
+    if (directive) {
+        // TAP doesn't have a directive for filtered tests, but they
+        // weren't run, so they're skipped.
+        if (directive === "filter") {
+            directive = "skip";
+            reason = "filtered";
+        }
+        line += " # " + directive.toUpperCase();
+        if ((reason !== null) && (typeof reason !== "undefined")) {
+            line += " " + String(reason).replace(/\n/g," ");
+        }
+    }
+    this.writeData(line,indent);
+}
+
+/**
+ * Writes a YAML diagnostic block, which should immediately follow a
+ * test point.
+ *
+ * Parameters:
+ * - data: an object whose fields will be written into the block.
+ * - indent: The spaces used to indent the test point the block belongs
+ * to.
+ * */
+TapWriter.prototype.writeDiagnostic = function(data,indent) {
+    indent = (indent || "") + "  ";
+    this.writeData("---",indent);
+    this.writeData(toYAML(data,""),indent);
+    this.writeData("...",indent);
+}
+
+/**
+ * Writes raw text to the output, with the lineHeader placed at the
+ * beginning of each line. See ResultWriter.prototype.writeData, although
+ * no wrapping is done here, since that would break TAP parsers.
+ *
+ * Parameters:
+ * - message: a string or other object to be written.
+ * - lineHeader: The text to appear at the beginning of each line. Default is
+ * an empty string.
+ * */
+TapWriter.prototype.writeData = function(message,lineHeader) {
+    lineHeader = lineHeader || "";
+    if (typeof message === "string") {
+        var lines = message.split(/\n/);
+        for (var i = 0; i < lines.length; i++) {
+            this._output.write(lineHeader + lines[i] + "\n");
+        }
+    } else if (message instanceof Error) {
+        this.writeData(util.inspect(message) + "\n" + message.stack,lineHeader);
+    } else {
+        this.writeData(util.inspect(message),lineHeader);
+    }
+}
+
+/**
+ * Writes a comment out to the output as a TAP comment, prefixed
+ * with '#'.
+ *
+ * Parameters:
+ * - data: a string or object to be written
+ * - indent: The spaces to indent the content. Default is
+ * an empty string.
+ * */
+TapWriter.prototype.writeComment = function(data,indent) {
+    indent = indent || "";
+    this.writeData(data,indent + "# ");
+}
+
+/**
+ * Writes an error out to the output. TAP has no place for errors
+ * outside of a test point, so this is written as a comment with an
+ * exclamation point (# !).
+ *
+ * Parameters:
+ * - data: a string or object to be written
+ * - indent: The spaces to indent the content. Default is
+ * an empty string.
+ * */
+TapWriter.prototype.writeError = function(data,indent) {
+    indent = indent || "";
+    this.writeData(data,indent + "# ! ");
+}
+
+/**
+ * Progress bars would break TAP parsers, so this does nothing. It's
+ * here to fulfill the ResultWriter API.
+ * */
+TapWriter.prototype.showProgress = function(message,indent) {
+}
+
+/**
+ * See showProgress.
+ * */
+TapWriter.prototype.endProgress = function() {
+}
+
+// Converts a value into the lines of a YAML block. This only needs
+// to handle what might be put into an Annotation, so it doesn't
+// pretend to be a complete YAML implementation. The ancestors are the
+// collections which contain the value, so that one which contains 
+// itself is written as "[Circular]", like util.inspect does, instead of
+// forever.
+var toYAML = function(value,indent,ancestors) {
+    ancestors = (ancestors || []).concat([value]);
+    if (value instanceof Error) {
+        var error = { name: value.name, message: value.message };
+        if (value.stack) {
+            error.stack = value.stack;
+        }
+        value = error;
+    }
+    if (Array.isArray(value)) {
+        if (value.length === 0) {
+            return indent + "[]";
+        }
+        return value.map(function(item) {
+            if (ancestors.indexOf(item) > -1) {
+                return indent + "- " + CIRCULAR;
+            }
+            if (isCollection(item)) {
+                // The first line of a nested collection goes after the
+                // dash, the rest are indented to line up with it.
+                var lines = toYAML(item,indent + "  ",ancestors);
+                return indent + "- " + lines.slice(indent.length + 2);
+            }
+            return indent + "- " + toYAMLScalar(item,indent + "  ");
+        }).join("\n");
+    }
+    if (isCollection(value)) {
+        var keys = Object.keys(value);
+        if (keys.length === 0) {
+            return indent + "{}";
+        }
+        return keys.map(function(key) {
+            var item = value[key];
+            // quote any keys that YAML might misread.
+            if (!/^[A-Za-z_][\w\-]*$/.test(key)) {
+                key = JSON.stringify(key);
+            }
+            if (ancestors.indexOf(item) > -1) {
+                return indent + key + ": " + CIRCULAR;
+            }
+            if (isCollection(item)) {
+                return indent + key + ":\n" + toYAML(item,indent + "  ",ancestors);
+            }
+            return indent + key + ": " + toYAMLScalar(item,indent + "  ");
+        }).join("\n");
+    }
+    return indent + toYAMLScalar(value,indent);
+}
+
+// Written in place of a collection which contains itself, quoted so
+// that YAML doesn't read it as a list.
+var CIRCULAR = JSON.stringify("[Circular]");
+
+var isCollection = function(value) {
+    return (value instanceof Error) ||
+           ((typeof value === "object") && (value !== null) &&
+            !(value instanceof Date) && !(value instanceof RegExp));
+}
+
+var toYAMLScalar = function(value,indent) {
+    switch (typeof value) {
+        case "number":
+        case "boolean":
+            return String(value);
+        case "undefined":
+            return "~";
+        case "string":
+            if (value.indexOf("\n") > -1) {
+                // use a literal block for multi-line strings, like stacks.
+                return "|-\n" + value.split(/\n/).map(function(line) {
+                    return indent + line;
+                }).join("\n");
+            }
+            // JSON strings are valid double-quoted YAML strings.
+            return JSON.stringify(value);
+        default:
+            if (value === null) {
+                return "~";
+            }
+            return JSON.stringify(util.inspect(value));
+    }
+}
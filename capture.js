@@ -0,0 +1,66 @@
+/**
+ * This module sends uncaught exceptions and unhandled promise rejections
+ * to the test whose body caused them, so that the test can bail. It
+ * uses AsyncLocalStorage to follow each test body through the
+ * asynchronous calls it makes, such as setTimeout and fs callbacks,
+ * and promises.
+ *
+ * This replaces the domains that were used before. Domains changed the
+ * behavior of the code being tested, especially code which used domains
+ * itself, and they never saw rejected promises. AsyncLocalStorage only
+ * tracks which test started the code, so it doesn't change anything. If
+ * the code being tested uses domains, any errors that it's domains catch
+ * are handled by them, just as they would be outside of the test.
+ * */
+
+var AsyncLocalStorage = require("async_hooks").AsyncLocalStorage;
+
+var storage = new AsyncLocalStorage();
+var listening = false;
+
+// If no test caused the error, and nothing else is listening, do what
+// node would have done if we weren't listening either.
+var crash = function(err) {
+    console.error((err && err.stack) || err);
+    process.exit(1);
+}
+
+var onUncaughtException = function(err) {
+    var test = storage.getStore();
+    if (test) {
+        test._onError(err);
+    } else if (process.listenerCount("uncaughtException") === 1) {
+        crash(err);
+    }
+}
+
+var onUnhandledRejection = function(reason) {
+    var test = storage.getStore();
+    if (test) {
+        test._onError(reason);
+    } else if (process.listenerCount("unhandledRejection") === 1) {
+        crash(reason);
+    }
+}
+
+/**
+ * Calls a function, so that any uncaught exceptions or unhandled
+ * rejections caused by it, or by any asynchronous calls it makes, are
+ * passed to the _onError method of the test. If more than one test
+ * is responsible, the one which was run most recently gets the error,
+ * so nested tests see their own errors.
+ *
+ * Parameters:
+ * - test: The test which should receive the errors.
+ * - fn: The function to call.
+ *
+ * Returns: The value returned by the function.
+ * */
+var run = module.exports.run = function(test,fn) {
+    if (!listening) {
+        listening = true;
+        process.on("uncaughtException",onUncaughtException);
+        process.on("unhandledRejection",onUnhandledRejection);
+    }
+    return storage.run(test,fn);
+}
@@ -1,6 +1,15 @@
 
 var library = require("./library");
 var ResultWriter = require("./ResultWriter");
+var TapWriter = require("./TapWriter");
+var JUnitWriter = require("./JUnitWriter");
+var StreamWriter = require("./StreamWriter");
+var util = require('util');
+var snapshot = require("./snapshot");
+
+// See the note on the real timers in library.js.
+var setInterval = global.setInterval;
+var clearInterval = global.clearInterval;
 
 // FUTURE: Move the API docs from readme into these files. Mark-up the 
 // comments in these files with 'jsdoc' tags, and generate the API 
@@ -27,6 +36,14 @@ var ResultWriter = require("./ResultWriter");
  * Options:
  * - timeout: specifies a timeout for the test, see Test.timeout,
  * or the parameters to Test.prototype.test.
+ * - deadline: specifies a number of milliseconds after which the test
+ * will be finished, even if it's still active. See 
+ * Test.prototype.setDeadline.
+ * - concurrency: specifies how many subtests can run at once, 1 to run
+ * them one after the other. See Test.concurrency.
+ * - retries: specifies how many times the body is run again, in a new
+ * Test, if the test doesn't pass. Only the last attempt is written, 
+ * with the others in it's attempts. See Test.prototype.test.
  * - output: specifies an output stream to write the results to, ignored
  * if options.writer is defined. If undefined or null, then stdout will
  * be used.
@@ -35,7 +52,36 @@ var ResultWriter = require("./ResultWriter");
  * not be output, and the client code will have to know when the test
  * is ended and do something with the results. If undefined, a new 
  * ResultWriter will be used with the value of options.output. 
- * If specified, options.output will be ignored.
+ * If specified, options.output will be ignored. A TapWriter or
+ * JUnitWriter can be used here to get TAP or JUnit XML output instead.
+ * If the writer has a streamTest method, like StreamWriter, it's given
+ * the test as soon as it's created, to write the results as they 
+ * happen, and there's no progress bar.
+ * - filter: a name filter, so that only some of the tests are run. See
+ * Test.parseFilter for the format. If the name of this test doesn't 
+ * match, it's body won't be run, and it will be marked as filtered, 
+ * unless the filter is on the whole path, see Test.applyFilter. If
+ * undefined, the STF_FILTER environment variable will be used.
+ * - durations: If true, the writer shows how long each test took. See 
+ * ResultWriter.showDurations.
+ * - slow: A number of milliseconds, tests which take at least this long
+ * are marked as slow by the writer, even if they passed. See 
+ * ResultWriter.slowThreshold.
+ * - slowest: A number of tests. If set, a comment listing this many of
+ * the slowest tests is written after the results.
+ * - verbose: If true, the writer writes the stacks of errors in full,
+ * instead of leaving out the frames in node and this framework. See
+ * ResultWriter.verbose.
+ * - updateSnapshots: If true, Test.prototype.matchSnapshot replaces the
+ * stored snapshots instead of comparing with them. If undefined, it's
+ * true if the STF_UPDATE_SNAPSHOTS environment variable is set to
+ * anything but "" or "0". If the test passes, wasn't filtered, and 
+ * isn't being collected by a Runner, a comment listing the snapshots
+ * for it which no test used is written after the results, and if this
+ * is true, those are removed.
+ * - keepTmpOnFailure: If true, the temporary files created by the test,
+ * and it's subtests, aren't removed if they fail. See 
+ * Test.prototype.tmpdir.
  * 
  * Parameters:
  * - name: The name for the test.
@@ -49,13 +95,33 @@ var test = module.exports = function(name,options,body) {
         body = options;
         options = void 0;
     } 
-    if (!options) {
-        options = {};
-    }
+    // fill in any options which weren't specified from the defaults,
+    // without changing the caller's object.
+    var specified = options || {};
+    options = {};
+    Object.keys(test.defaults).forEach(function(key) {
+        options[key] = test.defaults[key];
+    });
+    Object.keys(specified).forEach(function(key) {
+        if (typeof specified[key] !== "undefined") {
+            options[key] = specified[key];
+        }
+    });
     var writer = options.writer;
     if (typeof writer === "undefined") {
         writer = new ResultWriter(options.output);
     }
+    if (writer) {
+        if (typeof options.durations !== "undefined") {
+            writer.showDurations = options.durations;
+        }
+        if (typeof options.slow !== "undefined") {
+            writer.slowThreshold = options.slow;
+        }
+        if (typeof options.verbose !== "undefined") {
+            writer.verbose = options.verbose;
+        }
+    }
     
     var done;
     var progressTimer = null;
@@ -69,7 +135,17 @@ var test = module.exports = function(name,options,body) {
                     clearInterval(progressTimer);
                 }
                 writer.writeTest(result);
-                if (result.isPassed()) {
+                if (options.slowest > 0) {
+                    writeSlowest(writer,result,options.slowest);
+                }
+                if (!parent && !filter && result.isPassed() && result.location) {
+                    writeObsolete(writer,result,updateSnapshots);
+                }
+                if (result.directive === "filter") {
+                    // it was only run to look for tests which match, and
+                    // there weren't any, so nothing was really tested.
+                    writer.writeComment("Nothing in '" + name + "' matched the filter.",options.output);
+                } else if (result.isPassed()) {
                     writer.writeComment("Everything's good!",options.output);
                 } 
             } catch (e) {
@@ -77,12 +153,80 @@ var test = module.exports = function(name,options,body) {
             }
         }
     }
-    var result = new library.Test(name,options.timeout,done);
+    var parent = test.parent;
+    if (parent && !parent.finished) {
+        // report to the parent as well as the writer. 
+        var notifyWriter = done;
+        done = function(reason,passed,directive) {
+            if (notifyWriter) {
+                notifyWriter(reason,passed);
+            }
+            parent._subtestFinished(reason,passed,directive);
+        }
+    } else {
+        parent = null;
+    }
+    var filter = library.Test.parseFilter((typeof options.filter === "undefined") ? process.env.STF_FILTER : options.filter);
+    var updateSnapshots = (typeof options.updateSnapshots === "undefined") ? 
+                          ((process.env.STF_UPDATE_SNAPSHOTS || "0") !== "0") : !!options.updateSnapshots;
+    var applied = filter && library.Test.applyFilter(filter,name);
+    if (filter && !applied) {
+        var filtered = library.Test.createNotRun(name,"filter",null,options.timeout);
+        if (parent) {
+            parent._addNotRun(filtered);
+        } else if (writer) {
+            writer.writeTest(filtered);
+        }
+        return (typeof body === "function") ? void 0 : filtered;
+    }
+    var streaming = writer && (typeof writer.streamTest === "function");
+    var finished = function(reason,passed,directive) {
+        if ((!passed) && (!directive) && (typeof body === "function") &&
+            (result.attempts.length < (options.retries || 0))) {
+            // See the similar code in Test.prototype.test
+            var previous = result;
+            result = create(previous.attempts.concat([previous]));
+            if (parent) {
+                parent._replaceSubtest(previous,result);
+            }
+            if (streaming) {
+                writer.streamTest(result);
+            }
+            result.run(body);
+        } else if (done) {
+            done(reason,passed,directive);
+        }
+    }
+    var create = function(attempts) {
+        var created = new library.Test(name,options.timeout,finished);
+        created._filter = applied ? applied.filter : null;
+        created.filterPending = !!applied && !applied.matched;
+        created.attempts = attempts;
+        if (attempts.length > 0) {
+            created.location = attempts[0].location;
+        }
+        if (options.deadline) {
+            created.setDeadline(options.deadline);
+        }
+        if (options.concurrency) {
+            created.concurrency = options.concurrency;
+        }
+        created.updateSnapshots = updateSnapshots;
+        created.keepTmpOnFailure = !!options.keepTmpOnFailure;
+        return created;
+    }
+    var result = create([]);
+    if (parent) {
+        parent._addSubtest(result);
+    }
+    if (streaming) {
+        writer.streamTest(result);
+    }
 
     if (typeof body === "function") {
         debugger;
         result.run(body);
-        if (writer) {
+        if (writer && !streaming) {
             // Since the output isn't "streaming", there's no way for the
             // test to warn the user that it might take a while, so
             // I want to show that the UI is responsive.
@@ -95,10 +239,63 @@ var test = module.exports = function(name,options,body) {
     }
 }
     
+/**
+ * Writes a comment listing the slowest tests in the result, with how
+ * long they took, see the slowest option. The Runner uses this for it's
+ * combined results as well.
+ * 
+ * Parameters:
+ * - writer: The writer to write the comment with.
+ * - result: The Test to look for the slowest tests in.
+ * - count: The number of tests to list.
+ * */
+var writeSlowest = test.writeSlowest = function(writer,result,count) {
+    var slowest = result.findSlowest(count);
+    if (slowest.length > 0) {
+        writer.writeComment(["Slowest tests:"].concat(slowest.map(function(found) {
+            return util.format("%dms -- %s",found.test.duration,found.path.join(" > "));
+        })).join("\n"));
+    }
+}
+
+// Writes a comment listing the snapshots kept for a root test which it
+// didn't use, see the updateSnapshots option. The Runner looks for 
+// these for whole test files instead.
+var writeObsolete = function(writer,result,remove) {
+    var file = snapshot.fileFor(result.location.file);
+    var found = {};
+    found[file] = snapshot.findObsolete(file,result.name + " > ",remove);
+    var description = snapshot.describeObsolete(found,remove);
+    if (description) {
+        writer.writeComment(description);
+    }
+}
+
+/**
+ * Default values for the options passed to test, used for any option
+ * which is not specified. The command-line runner sets these from it's
+ * own command-line.
+ * */
+test.defaults = {};
+
+/**
+ * If this is set to a Test, root tests created with the test function 
+ * are added to it as subtests, so that it will not finish until they
+ * do. This is used by Runner to collect the root tests created by each
+ * test file while it's being loaded.
+ * */
+test.parent = null;
+    
 // expose the following in case someone wants to use them separately,
 // since they're not easily available when installed with npm.
 test.Test = library.Test;
 test.Minitest = library.Minitest;
 test.Comment = library.Comment;
 test.ResultWriter = ResultWriter;
+test.TapWriter = TapWriter;
+test.JUnitWriter = JUnitWriter;
+test.StreamWriter = StreamWriter;
+test.Clock = require("./Clock");
+// Required down here, since it needs the main module.
+test.Runner = require("./Runner");
 
@@ -0,0 +1,75 @@
+/**
+ * This is the script Runner runs in a child process for each test file,
+ * when it's isolating them (see the isolate option on Runner). It loads
+ * the test file with Runner.prototype.runFile, and sends the results
+ * back to the parent as JSON messages:
+ * - { type: "update", test: ... }: sent every so often while the tests 
+ *   are running, so that the parent has something to show if this 
+ *   process dies. This also lets the parent know that this process 
+ *   isn't stuck in a loop.
+ * - { type: "done", test: ..., modules: ... }: sent once the tests are 
+ *   completed, after which this process exits. The modules are the
+ *   ones the file loaded, see Runner.prototype.findDependencies.
+ * The 'test' is a string of JSON created from Test.prototype.toJSON.
+ *
+ * The command line has the test file, the options for the Runner as 
+ * JSON, and how often to send updates, in milliseconds.
+ * */
+
+var library = require("./library");
+var Runner = require("./Runner");
+
+// See the note on the real timers in library.js.
+var setInterval = global.setInterval;
+var clearInterval = global.clearInterval;
+
+var file = process.argv[2];
+var options = JSON.parse(process.argv[3] || "{}");
+// Nothing is written here, the parent does that.
+options.writer = null;
+var updateInterval = Number(process.argv[4]) || 1000;
+
+// Annotations can hold anything, so make sure they can be sent.
+var stringify = function(test) {
+    // the objects which contain the one being written, so that an object
+    // which is only written twice isn't mistaken for a cycle.
+    var ancestors = [];
+    return JSON.stringify(test,function(key,value) {
+        if ((typeof value === "object") && (value !== null)) {
+            // JSON.stringify goes depth first, and 'this' is the object 
+            // holding the value, so anything after that is done.
+            while ((ancestors.length > 0) && (ancestors[ancestors.length - 1] !== this)) {
+                ancestors.pop();
+            }
+            if (ancestors.indexOf(value) > -1) {
+                return "[Circular]";
+            }
+            ancestors.push(value);
+        } else if (typeof value === "function") {
+            return "[Function" + (value.name ? ": " + value.name : "") + "]";
+        }
+        return value;
+    });
+}
+
+var result;
+var root = new library.Test("isolated",0,function() {
+    clearInterval(updates);
+    process.send({ 
+        type: "done", 
+        test: stringify(result), 
+        modules: runner.findDependencies(file), 
+        obsolete: runner.findObsoleteSnapshots(file,result) 
+    },function() {
+        // Anything left open by the tests would keep this running.
+        process.exit(0);
+    });
+});
+var updates = setInterval(function() {
+    process.send({ type: "update", test: stringify(result) });
+},updateInterval);
+var runner = new Runner(options);
+result = runner.runFile(file,root);
+// Let the parent know the file loaded, in case that took a while.
+process.send({ type: "update", test: stringify(result) });
+root.finish();
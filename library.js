@@ -3,11 +3,30 @@
  * collect the results and store it for later use.
  * */
 
- // Require domains to make it possible to look for errors caused by
+ // Require capture to make it possible to look for errors caused by
  // asynchronous tests.
- var domain = require('domain');
+ var capture = require('./capture');
  // Require assert for the assertion methods.
  var assert = require('assert');
+ // Require path and url for finding where things were called from.
+ var path = require('path');
+ var url = require('url');
+ // Require fs and os for temporary files.
+ var fs = require('fs');
+ var os = require('os');
+ // Require Clock for fake timers.
+ var Clock = require('./Clock');
+ // Require spy for spies and stubs.
+ var spy = require('./spy');
+ // Require snapshot for keeping snapshots.
+ var snapshot = require('./snapshot');
+ 
+ // Keep the real timers and Date, in case the code being tested replaces
+ // them with Test.prototype.clock, or a library that does the same, so 
+ // that timeouts and durations still use real time.
+ var setTimeout = global.setTimeout;
+ var clearTimeout = global.clearTimeout;
+ var Date = global.Date;
  
  
  // Default timeout is 5000 milliseconds, or 5 seconds.
@@ -21,8 +40,11 @@
   * parameters:
   * - name: The name of the Minitest.
   * - passed: True if the Minitest passed, false if the Minitest failed.
+  * - directive: Optional, "skip" if the Minitest was skipped, or "todo"
+  *   if it hasn't been written yet. 
+  * - directiveReason: Optional, an explanation for the directive.
   * */
-var Minitest = module.exports.Minitest = function(name,passed) {
+var Minitest = module.exports.Minitest = function(name,passed,directive,directiveReason) {
     /**
      * The name of the Minitest
      * */
@@ -31,6 +53,95 @@ var Minitest = module.exports.Minitest = function(name,passed) {
      * True if the Minitest passed, false if the Minitest failed.
      * */
     this.passed = !!passed;
+    /**
+     * Null, unless the Minitest was not really run. Recognized values
+     * are "skip" and "todo". If this is set, then passed is meaningless,
+     * and the Minitest is counted as neither passed nor failed.
+     * */
+    this.directive = directive || null;
+    /**
+     * An explanation for the directive, if one was given.
+     * */
+    this.directiveReason = (typeof directiveReason === "undefined") ? null : directiveReason;
+    /**
+     * The time the Minitest was started, in milliseconds since the epoch,
+     * as returned by Date.now(). Most Minitests are checked as soon as 
+     * they're created, so this is the same as endTime, but the ones
+     * created by Test.prototype.resolves and rejects start when the
+     * promise is given.
+     * */
+    this.startTime = Date.now();
+    /**
+     * The time the Minitest was finished, see startTime.
+     * */
+    this.endTime = this.startTime;
+    /**
+     * The number of milliseconds between startTime and endTime.
+     * */
+    this.duration = 0;
+    // The stack where the Minitest was made, see Minitest.location.
+    this._trace = null;
+    this._location = null;
+}
+
+// The 'location' property of Minitests and Tests. It's found from the 
+// stack in '_trace', which is captured with captureTrace when they're
+// created, the first time it's read, since that's the slow part, and 
+// most of them are never asked. Setting it replaces the stack.
+var LAZY_LOCATION = {
+    get: function() {
+        if (this._trace) {
+            this._location = findLocation(this._trace.stack);
+            this._trace = null;
+        }
+        return (typeof this._location === "undefined") ? null : this._location;
+    },
+    set: function(location) {
+        this._trace = null;
+        this._location = location;
+    }
+};
+
+/**
+ * Where the Minitest was made in the code being tested, an object with 
+ * the absolute 'file', the 'line' and the 'column', or null if it isn't
+ * known. This is found by the methods of Test which make Minitests, see
+ * Test.location, but only when it's first read.
+ * */
+Object.defineProperty(Minitest.prototype,"location",LAZY_LOCATION);
+
+/**
+ * Returns a JSON compatible object for the Minitest, tagged with a
+ * type so that it can be recognized by Test.fromJSON.
+ * */
+Minitest.prototype.toJSON = function() {
+    return {
+        type: "minitest",
+        name: this.name,
+        passed: this.passed,
+        directive: this.directive,
+        directiveReason: this.directiveReason,
+        startTime: this.startTime,
+        endTime: this.endTime,
+        duration: this.duration,
+        location: this.location
+    };
+}
+
+/**
+ * Creates a Minitest from an object created by Minitest.prototype.toJSON.
+ * Parameters:
+ * - obj: The object to read.
+ * */
+Minitest.fromJSON = function(obj) {
+    var result = new Minitest(obj.name,obj.passed,obj.directive,obj.directiveReason);
+    if (typeof obj.startTime === "number") {
+        result.startTime = obj.startTime;
+        result.endTime = obj.endTime;
+        result.duration = obj.duration;
+    }
+    result.location = obj.location || null;
+    return result;
 }
 
 /**
@@ -52,6 +163,55 @@ var Annotation = module.exports.Annotation = function(kind,data) {
       * The data to go along with the annotation.
       * */
      this.data = data;
+     /**
+      * Where the annotation was added in the code being tested, see
+      * Minitest.location. For errors, this is where the Error was 
+      * thrown, if the data is one.
+      * */
+     this.location = null;
+}
+
+/**
+ * Returns a JSON compatible object for the Annotation, tagged with a
+ * type so that it can be recognized by Test.fromJSON. If the data is
+ * an Error, which JSON.stringify would turn into an empty object, it's
+ * name, message and stack are kept instead.
+ * */
+Annotation.prototype.toJSON = function() {
+    var result = {
+        type: "annotation",
+        kind: this.kind,
+        data: this.data,
+        location: this.location
+    };
+    if (this.data instanceof Error) {
+        result.data = {
+            name: this.data.name,
+            message: this.data.message,
+            stack: this.data.stack
+        };
+        result.dataIsError = true;
+    }
+    return result;
+}
+
+/**
+ * Creates an Annotation from an object created by 
+ * Annotation.prototype.toJSON. Errors are recreated as Error objects
+ * with the original name, message and stack.
+ * Parameters:
+ * - obj: The object to read.
+ * */
+Annotation.fromJSON = function(obj) {
+    var data = obj.data;
+    if (obj.dataIsError) {
+        data = new Error(obj.data.message);
+        data.name = obj.data.name;
+        data.stack = obj.data.stack;
+    }
+    var result = new Annotation(obj.kind,data);
+    result.location = obj.location || null;
+    return result;
 }
 
 /**
@@ -79,8 +239,12 @@ var Test = module.exports.Test = function(name,timeout,cb) {
     // This is a protected functions, since I'm going to need to make sure
     // it's bound and I don't want to bind it again for each new subtest.
     // It's used in Test.prototype.test.
-    this._subtestFinished = function(reason,passed) {
-        if ((!reason) && passed) {
+    this._subtestFinished = function(reason,passed,directive) {
+        if (directive) {
+            // it was filtered out after it was started, see
+            // Test.prototype.only.
+            this.skipped += 1;
+        } else if ((!reason) && passed) {
             this.passed += 1;
         } else {
             this.failed += 1;
@@ -127,10 +291,24 @@ var Test = module.exports.Test = function(name,timeout,cb) {
      * the test is considered to be incomplete or failed.
      * */
     this.expected = null;
+    /**
+     * This should contain the number of subtests which were skipped, 
+     * with Test.prototype.skip or the skip option on Test.prototype.test,
+     * or which were filtered out. These are counted as neither passed nor
+     * failed.
+     * */
+    this.skipped = 0;
+    /**
+     * This should contain the number of subtests which were marked as 
+     * todo, with Test.prototype.todo. These are counted as neither passed
+     * nor failed.
+     * */
+    this.todos = 0;
     /**
      * This should contain the total number of subtests
-     * added. If this does not match the total of 'passed' and 'failed',
-     * then it's possible that a subtest has not yet finished.
+     * added. If this does not match the total of 'passed', 'failed',
+     * 'skipped' and 'todos', then it's possible that a subtest has not 
+     * yet finished.
      * */
     this.total = 0;
     /**
@@ -156,6 +334,17 @@ var Test = module.exports.Test = function(name,timeout,cb) {
      * contents.
      * */
     this.errors = 0;
+    /**
+     * Null, unless this test was not really run. The values used
+     * by Test itself are "skip", see the skip option on 
+     * Test.prototype.test, and "filter", see Test.prototype.only and
+     * Test.parseFilter.
+     * */
+    this.directive = null;
+    /**
+     * An explanation for the directive, if one was given.
+     * */
+    this.directiveReason = null;
     /**
      * Should contain the number of milliseconds after which the test
      * will time out if there is no activity. If this value is zero,
@@ -163,11 +352,95 @@ var Test = module.exports.Test = function(name,timeout,cb) {
      * only have an effect after the next call to Test.prototype.ping.
      * */
     this.timeout = (typeof timeout === "undefined") ? DEFAULT_TIMEOUT : timeout;
+    /**
+     * Should contain the number of milliseconds after the test was 
+     * started that it will be finished, no matter how much activity
+     * there is, or zero if there is no deadline. Use 
+     * Test.prototype.setDeadline to change this.
+     * */
+    this.deadline = 0;
+    /**
+     * The number of subtests with bodies which may run at the same time,
+     * or zero for no limit. If it's 1, the subtests run one after the
+     * other. Subtests which are waiting for their turn are added to the
+     * results, and count towards the total, but their bodies aren't run,
+     * and they won't time out, until they're started. This should be set
+     * before subtests are added.
+     * */
+    this.concurrency = 0;
+    /**
+     * If true, Test.prototype.matchSnapshot replaces the stored snapshots
+     * instead of comparing with them. Subtests get this from their 
+     * parent when they're created, and root tests get it from the 
+     * updateSnapshots option of the main test function.
+     * */
+    this.updateSnapshots = false;
+    /**
+     * If true, the temporary directories created with Test.prototype.tmpdir
+     * and tmpfile aren't removed if the test fails, so they can be looked
+     * at. Subtests get this from their parent, unless it's given in their
+     * options, and root tests get it from the options of the main test 
+     * function.
+     * */
+    this.keepTmpOnFailure = false;
+    /**
+     * True while a subtest created with a body is waiting for it's turn
+     * to run, see Test.concurrency and Test.prototype.serial. It doesn't
+     * time out while it waits. The "start" event is emitted when it 
+     * starts, see Test.prototype.on.
+     * */
+    this.queued = false;
+    /**
+     * The time the test was created, in milliseconds since the epoch, as
+     * returned by Date.now().
+     * */
+    this.startTime = Date.now();
+    /**
+     * The time the test was completed, after it's subtests and cleanup
+     * functions were finished, just before it reported to it's parent. 
+     * This is null until then.
+     * */
+    this.endTime = null;
+    /**
+     * The number of milliseconds between startTime and endTime, or null
+     * until the test is completed.
+     * */
+    this.duration = null;
+    /**
+     * The earlier attempts at running this test, in the order they were
+     * run, if it was retried, see the retries option on 
+     * Test.prototype.test. Each of these is a finished Test which didn't
+     * pass. Only the last attempt, this one, counts in the parent.
+     * */
+    this.attempts = [];
+    /**
+     * True if the test didn't match a name filter on the whole path, and
+     * is only being run to look for subtests which do, see 
+     * Test.applyFilter. If it's still true when the test is done, none 
+     * of them did, and the test is marked as filtered, so it doesn't 
+     * count in the parent.
+     * */
+    this.filterPending = false;
+    // The spies, stubs and clocks to restore, see Test.prototype._restoreLater.
+    this._restores = null;
+    // The stack where the test was created, see Test.location.
+    this._trace = captureTrace();
     
     // Ping this test to initialize the timeout.
     this.ping();
 }
 
+/**
+ * Where the test was created in the code being tested, an object with
+ * the absolute 'file', the 'line' and the 'column', or null if it isn't
+ * known. This is found from a stack trace, as the first place which
+ * isn't in this framework or node itself. The stack is captured when
+ * the test is created, but it's only read the first time this is, since
+ * that's slow, and the location is usually only needed for tests which
+ * fail. It can be set, such as when a Test is copied.
+ * */
+Object.defineProperty(Test.prototype,"location",LAZY_LOCATION);
+
 /**
  * Wakes up the test, delaying a timeout, in cases where a test may
  * otherwise take a long time to get a result. This function is
@@ -179,7 +452,8 @@ Test.prototype.ping = function() {
         clearTimeout(this._timer);
         this._timer = null;
     } 
-    if (!this.finished) {
+    // a queued test hasn't started, so it shouldn't time out.
+    if ((!this.finished) && (!this.queued)) {
         if (this.timeout > 0) {
             this._timer = setTimeout(function() {
                 this.finish("timeout");
@@ -190,7 +464,41 @@ Test.prototype.ping = function() {
 }
 
 
+/**
+ * Sets a deadline for the test: the number of milliseconds after it was
+ * started (see startTime) that it will be finished with the "deadline"
+ * reason, even if it's still active. Unlike the timeout, calling ping
+ * doesn't delay this, so it stops a test that keeps making checks 
+ * forever. Of course, it can't stop a test that never lets the event
+ * loop run. If the deadline has already passed, the test will be 
+ * finished as soon as the event loop allows.
+ * 
+ * Parameters:
+ * - deadline: The number of milliseconds, or zero to remove the 
+ * deadline.
+ * */
+Test.prototype.setDeadline = function(deadline) {
+    if (this._deadlineTimer) {
+        clearTimeout(this._deadlineTimer);
+        this._deadlineTimer = null;
+    }
+    this.deadline = deadline || 0;
+    if ((!this.finished) && (!this.queued) && (this.deadline > 0)) {
+        var remaining = Math.max(this.startTime + this.deadline - Date.now(),0);
+        this._deadlineTimer = setTimeout(function() {
+            this._deadlineTimer = null;
+            this.finish("deadline");
+        }.bind(this),remaining);
+    }
+}
+
 Test.prototype._onError = function(err) {
+    if (this._tearingDown) {
+        // it's already finished, so it can't bail. The error is recorded
+        // before the parent hears about it, which is good enough.
+        this.error(err);
+        return;
+    }
     // Report the 'error' first, because finish callbacks will
     // be triggered on the finish.
     this.error(err);
@@ -217,6 +525,12 @@ Test.prototype._onError = function(err) {
  * NOTE: If you have any use-case for this remaining public, let
  * me know, as it might otherwise be deprecated at some point.
  * 
+ * If the body returns a promise (anything with a 'then' method), such
+ * as when it's an async function, the test will finish when the promise
+ * resolves, and bail with the reason as an error if it rejects. If 
+ * finishAfter has been called, the test is left to finish on it's own
+ * instead, when the expected number of subtests is reached. 
+ * 
  * Parameters:
  * - body: A function, which will receive this test as the first parameter
  * when run.
@@ -228,51 +542,36 @@ Test.prototype._onError = function(err) {
 Test.prototype.run = function(body) {
     // Try...catch will only catch errors in blocking functions,
     // and on('uncaughtException') would have to be filtered to the
-    // appropriate test function...
-    // Well, that's pretty much what domains do, so let's use them.
-    // 
-    // The problem is that domains don't work well with non-async functions,
-    // because they behave differently depending on whether the function
-    // is in a try...catch or not. Essentially, they use the same mechanism
-    // as uncaughtException, so it won't see the exception if it's not
-    // *caught*.
-    //
-    // For a thorough explanation, see:
-    // http://www.lighthouselogic.com/node-domains-as-a-replacement-for-try-catch/
-    //
-    // This means that try..catch *changes* the *behavior* of the non-async
-    // code inside the domain. I'm not absolutely certain that this doesn't
-    // break a cardinal rule of programming. But, there's no way around
-    // it. 
-    // 
-    // Okay, you say, then don't wrap it in a try..catch. The problem is,
-    // I'm writing library code. I can't control the code that another
-    // programmer is writing which calls this function. If the programmer
-    // encloses the call to this function inside a try..catch, and this
-    // can be absolutely at any level of recursion, then suddenly
-    // my code breaks and I look bad.
+    // appropriate test function... which is what capture does, by
+    // following the body through it's asynchronous calls. See capture.js.
     //
-    // Okay, how about do wrap it in try..catch, but depend on domains
-    // for the async parts of the code. This doesn't work either, since
-    // the test itself might make use of domains. Which means, when the
-    // programmer runs their code, it works *differently* in the test
-    // then it does in real-life. Again, this makes me look bad once they
-    // figure it out.
-    //
-    // I have come up with no other option than to just run the test
-    // async. If the user wishes to run a non-async test, he/she can
-    // call the appropriate method without a function body, and
-    // control the test directly.
-    var d = domain.create();
+    // The body is still run async, so that a try..catch somewhere up the
+    // stack in the programmer's code, which I can't control, doesn't 
+    // catch errors in the body before they can bail the test. If the 
+    // user wishes to run a non-async test, he/she can call the 
+    // appropriate method without a function body, and control the test
+    // directly.
     var me = this;
-    d.on('error',this._onError);
-    d.enter();
-    process.nextTick(function() {
-        body(me);
+    capture.run(this,function() {
+        process.nextTick(function() {
+            var returned = body(me);
+            if (returned && (typeof returned.then === "function")) {
+                // A rejection here is handled, so capture won't see
+                // it, it has to be handled here.
+                returned.then(function() {
+                    if ((!me.finished) && (me.expected === null)) {
+                        me.finish();
+                    }
+                },function(err) {
+                    if (!me.finished) {
+                        me._onError(err);
+                    } else {
+                        me.error(err);
+                    }
+                });
+            }
+        });
     });
-    d.exit();
-    // No, there's no need to clean up the domain after, in 
-    // fact domain.dispose is being deprecated.
 }
 
 /**
@@ -293,35 +592,162 @@ Test.prototype.run = function(body) {
  * be caught by the test, and the test will not automatically bail (but
  * any enclosing tests *might* bail).
  * 
+ * If the skip option is set, the subtest is added to the results, 
+ * but it is finished immediately, and the body is not run. A skipped 
+ * subtest counts towards the total, but neither passes nor fails.
+ * 
+ * If this test has a name filter (see Test.parseFilter), and the name
+ * doesn't match it, the subtest is handled the same way, but marked
+ * as filtered instead. See Test.prototype.only for another way to
+ * filter subtests.
+ * 
+ * If a test function is passed, the subtest might not start right away,
+ * if this test has a concurrency limit, or the subtest is serial. See
+ * Test.concurrency and Test.prototype.serial.
+ * 
+ * If a test function is passed, the beforeEach hooks of this test and
+ * it's ancestors are run before it, and their afterEach hooks are run
+ * once the subtest is finished. See Test.prototype.beforeEach.
+ * 
+ * If a test function is passed with the retries option, and the subtest
+ * doesn't pass, whether it failed, timed out or bailed, it's run again 
+ * from the start in a new Test, up to that many times. The new Test 
+ * takes the place of the old one in the contents, and keeps the old
+ * ones in Test.attempts. This test only counts the last attempt, so a
+ * flaky subtest which passes eventually passes here as well.
+ * 
  * Parameters:
  * - name: the name of the test.
- * - timeout: an optional number, in milliseconds, which specifies how
- * long the test will take to timeout.
+ * - options: an optional object containing options for the test, 
+ * or a number, which is used as the timeout option.
+ *   - timeout: an optional number, in milliseconds, which specifies how
+ *   long the test will take to timeout.
+ *   - deadline: an optional number, in milliseconds, after which the test
+ *   will be finished no matter what, see Test.prototype.setDeadline.
+ *   - skip: If true, or a string explaining why, the subtest is skipped.
+ *   - only: If true, this works as Test.prototype.only.
+ *   - serial: If true, this works as Test.prototype.serial.
+ *   - concurrency: The number of the subtest's own subtests which can 
+ *   run at once, see Test.concurrency.
+ *   - retries: The number of times to run the subtest again if it 
+ *   doesn't pass, see above.
+ *   - keepTmpOnFailure: Whether to keep the subtest's temporary files if
+ *   it fails, see Test.keepTmpOnFailure. Defaults to this test's.
  * - body: Optional function, which takes the resulting object as a parameter,
  * and which will run the test automatically.
  * */
-Test.prototype.test = function(name,timeout,body) {
+Test.prototype.test = function(name,options,body) {
     // switch some arguments...
-    if (typeof timeout === "function") {
-        body = timeout;
-        timeout = void 0;
+    if (typeof options === "function") {
+        body = options;
+        options = void 0;
     } 
+    // the options might just be the timeout.
+    if ((typeof options !== "object") || (options === null)) {
+        options = { timeout: options };
+    }
+    if (options.skip) {
+        return this._addNotRun(Test.createNotRun(name,"skip",(typeof options.skip === "string") ? options.skip : null,options.timeout));
+    }
+    var filter = null;
+    var matched = true;
+    if (this._filter) {
+        var applied = Test.applyFilter(this._filter,name);
+        if (!applied) {
+            return this._addNotRun(Test.createNotRun(name,"filter",null,options.timeout));
+        }
+        filter = applied.filter;
+        matched = applied.matched;
+    }
     if (!this.finished) {
-        // wake up to avoid a timeout...
-        this.ping();
-        
-        var result = new Test(name,timeout,this._subtestFinished);
-
-        this.contents.push(result);
-        // increment pending.
-        this.pending += 1;
-        // increment total now, even though it hasn't passed or failed yet.
-        this.total += 1;
-        // since the finish after depends on total value, check
-        // if we should be finished.
-        this._checkFinishAfter();
+        if (options.only) {
+            this._focused = true;
+        }
+        var me = this;
+        var finished = this._subtestFinished;
+        var start;
+        if (typeof body === "function") {
+            // it has to give up it's place in the queue before it
+            // reports, so the next subtest can start.
+            finished = function(reason,passed,directive) {
+                if ((!passed) && (!directive) && (!me.finishReason) &&
+                    (result.attempts.length < (options.retries || 0))) {
+                    var previous = result;
+                    result = create(previous.attempts.concat([previous]));
+                    me._replaceSubtest(previous,result);
+                    // the retry goes first, so it takes the place that's
+                    // given up, instead of running after later subtests.
+                    me._schedule(result,!!options.serial,start,true);
+                    me._release(previous);
+                    return;
+                }
+                me._release(result);
+                me._subtestFinished(reason,passed,directive);
+            }
+        }
+        var create = function(attempts) {
+            var created = new Test(name,options.timeout,finished);
+            created._filter = filter;
+            created.filterPending = !matched;
+            created.attempts = attempts;
+            if (attempts.length > 0) {
+                // a retry is created when the last attempt finished,
+                // which isn't anywhere in the tests.
+                created.location = attempts[0].location;
+            }
+            if (typeof body === "function") {
+                // it isn't running until _schedule starts it.
+                created.queued = true;
+                created.ping();
+            }
+            if (options.deadline) {
+                created.setDeadline(options.deadline);
+            }
+            if (options.concurrency) {
+                created.concurrency = options.concurrency;
+            }
+            created.updateSnapshots = me.updateSnapshots;
+            created.keepTmpOnFailure = (typeof options.keepTmpOnFailure === "undefined") ? me.keepTmpOnFailure : !!options.keepTmpOnFailure;
+            // kept for finding the hooks to run.
+            created._parent = me;
+            return created;
+        }
+        var result = create([]);
+        if (matched) {
+            // the tests which were only run to look for this are kept.
+            for (var ancestor = this; ancestor && ancestor.filterPending; ancestor = ancestor._parent) {
+                ancestor.filterPending = false;
+            }
+        }
+        this._addSubtest(result);
         if (typeof body === "function") {
-            result.run(body);
+            start = function(t) {
+                // Test.prototype.only might have been called for a later
+                // subtest since this one was created, so this has to 
+                // wait until the body would be run to check.
+                if (me._focused && !options.only) {
+                    t.directive = "filter";
+                    t.finish();
+                    return;
+                }
+                // the afterEach hooks are run in _notifyFinish, they're
+                // collected now so that they match the beforeEach hooks.
+                t._afterEachHooks = t._inheritedHooks("_afterEach").reverse();
+                var hooks = t._inheritedHooks("_beforeEach");
+                if (hooks.length === 0) {
+                    return body(t);
+                }
+                // the test's own timeout covers these, since it's running.
+                callInOrder(hooks,[t],0,"beforeEach hook",true,t._onError,function(failed) {
+                    if ((!failed) && (!t.finished)) {
+                        // run it just like any other body, so that a
+                        // returned promise is handled. 
+                        t.run(body);
+                    }
+                });
+            };
+            this._schedule(result,!!options.serial,start);
+            this._startQueued();
         } else {
             return result;
         }
@@ -330,168 +756,1220 @@ Test.prototype.test = function(name,timeout,body) {
     }
 }
 
-Test.prototype._checkFinishAfter = function() {
-    if ((this.expected !== null) &&
-         (this.expected <= this.total)) {
-       // automatically finish normally.
-       this.finish();
+/**
+ * Initiates a new subtest, the same as Test.prototype.test, but it won't
+ * run at the same time as any other subtest of this test: it waits for
+ * the subtests already running to finish, and the subtests after it
+ * wait for it. This is for tests which need something all to themselves,
+ * such as a port, a file or a database. To make all of the subtests run
+ * one at a time, set Test.concurrency to 1 instead.
+ * 
+ * Parameters: See Test.prototype.test.
+ * */
+Test.prototype.serial = function(name,options,body) {
+    if (typeof options === "function") {
+        body = options;
+        options = void 0;
+    } 
+    if ((typeof options !== "object") || (options === null)) {
+        options = { timeout: options };
+    }
+    var serialOptions = { serial: true };
+    Object.keys(options).forEach(function(key) {
+        if (key !== "serial") {
+            serialOptions[key] = options[key];
+        }
+    });
+    return this.test(name,serialOptions,body);
+}
+
+// Queues a subtest created with a body. It's started with start, which
+// is passed to Test.prototype.run, once there's room for it, see
+// _startQueued. If exclusive, nothing else runs while it does. If first,
+// it goes to the front of the queue, instead of the back.
+Test.prototype._schedule = function(subtest,exclusive,start,first) {
+    if (!this._queue) {
+        this._queue = [];
+        this._running = [];
+    }
+    this._queue[first ? "unshift" : "push"]({
+        test: subtest,
+        exclusive: exclusive,
+        start: start
+    });
+}
+
+// Starts as many queued subtests as the concurrency allows.
+Test.prototype._startQueued = function() {
+    while (this._queue && (this._queue.length > 0)) {
+        var next = this._queue[0];
+        var running = this._running;
+        if ((running.length > 0) &&
+            (next.exclusive || running[0].exclusive ||
+             ((this.concurrency > 0) && (running.length >= this.concurrency)))) {
+            break;
+        }
+        this._queue.shift();
+        running.push(next);
+        var subtest = next.test;
+        subtest.queued = false;
+        // it's only really started now.
+        subtest.startTime = Date.now();
+        subtest.ping();
+        subtest.setDeadline(subtest.deadline);
+        subtest._emit("start");
+        subtest.run(next.start);
+    }
+}
+
+// Frees the place of a finished subtest, and starts the next ones.
+Test.prototype._release = function(subtest) {
+    if (this._running) {
+        this._running = this._running.filter(function(item) {
+            return item.test !== subtest;
+        });
+        this._startQueued();
     }
 }
 
 /**
- * Tells the test to automatically finish after a certain number of tests
- * have been made. If that number of tests hasn't been reached by the
- * time the test times out, or otherwise finishes, the test will be
- * considered incomplete. 
+ * Adds a function which will be run before the body of every subtest
+ * created with Test.prototype.test, including the subtests of those
+ * subtests, and so on. This is useful for setting up things that each
+ * subtest needs, instead of copying the code into every body. The
+ * function receives the subtest as it's parameter, so it can, for 
+ * example, add cleanup functions to it.
  * 
- * This can be called more than once to change the number of tests that
- * are expected. When increasing, be careful that the test has already
- * completed. When decreasing, this may automatically finish the test
- * if that number of tests are already completed.
+ * Hooks are run in order from the outermost test to the innermost, and
+ * in the order they were added on each test. The hooks are found when
+ * the body would be run, so hooks added after the subtest is created
+ * will still be run, as long as it hasn't started. Subtests created
+ * without a body are being controlled directly, so hooks aren't run 
+ * for them.
  * 
- * Note that if the expected number of tests are not reached, and 
- * finish is never called, then the test will time out.
- * Also note that having more tests than this value when the test is 
- * finished means that the test has not passed.
+ * If the function returns a promise (anything with a 'then' method), 
+ * the next hook, or the body, isn't run until it resolves. If the 
+ * function throws an error, or the promise rejects, the subtest bails
+ * with the error, and it's body isn't run.
  * 
  * Parameters:
- * - count: The number of tests to expect.
+ * - fn: A function to be called before each subtest.
  * */
-Test.prototype.finishAfter = function(count) {
-    if (!this.finished) {
-        // wake up to avoid a timeout...
-        this.ping();
-        
-        this.expected = count;
-        // check if we should finish the test, such as if the user
-        // set this to a lower value than the number of tests than
-        // have already been made.
-        this._checkFinishAfter();
-    } else {
-        this.error("Expected test count increased by " + count + " after completion.");
+Test.prototype.beforeEach = function(fn) {
+    if (typeof fn === "function") {
+        if (!this._beforeEach) {
+            this._beforeEach = [fn];
+        } else {
+            this._beforeEach.push(fn);
+        }
     }
 }
 
 /**
- * Creates a subtest (a Minitest) that passes immediately. If
- * this is called after the test is finished, an error will be added 
- * instead.
+ * Adds a function which will be run after every subtest which had 
+ * beforeEach hooks run for it (see Test.prototype.beforeEach), once 
+ * the subtest and all of it's own subtests are finished. This is run
+ * before the subtest's cleanup functions, and before the subtest reports
+ * to this test that it's finished.
  * 
- * The first parameter is a truthy/falsy value. The value is used as the 
- * pass/fail result of the subtest. 
+ * Hooks are run in order from the innermost test to the outermost, and
+ * in the reverse of the order they were added on each test, so things
+ * are torn down in the opposite order they were set up. 
  * 
- * The return value allows the 'check' to act as a conditional in an
- * if statement. This is useful, for example, to log an error if the
- * subtest fails. Undefined is returned if the test is finished.
+ * If the function returns a promise, the next hook isn't run until it
+ * settles. If the function throws an error, or the promise rejects, the
+ * error is added to the subtest and it fails as if it bailed, but the 
+ * rest of the hooks are still run.
  * 
  * Parameters:
- * - result: a boolean indicating whether the subtest 
- * passed (true) or failed (false).
- * - name: The name of the subtest.
- * 
- * Returns: Boolean whether the subtest passed or not, or undefined
- * if the test is already finished.
+ * - fn: A function to be called after each subtest.
  * */
-Test.prototype.check = function(result,name) {
-    if (!this.finished) {
-        // wake up to avoid a timeout...
-        this.ping();
-        
-        result = !!result;
-        this.contents.push(new Minitest(name,result))
-        if (result) {
-            this.passed += 1;
+Test.prototype.afterEach = function(fn) {
+    if (typeof fn === "function") {
+        if (!this._afterEach) {
+            this._afterEach = [fn];
         } else {
-            this.failed += 1;
+            this._afterEach.push(fn);
         }
-        this.total += 1;
-        // since the finish after depends on total value, check
-        // if we should be finished.
-        this._checkFinishAfter();
-        return result;
-    } else {
-        this.error("Minitest '" + name + "' triggered after test was completed");
     }
-   
 }
 
+// Returns the hooks of the kind ("_beforeEach" or "_afterEach") from
+// the ancestors of this test, outermost first.
+Test.prototype._inheritedHooks = function(kind) {
+    var result = [];
+    for (var test = this._parent; test; test = test._parent) {
+        if (test[kind]) {
+            result = test[kind].concat(result);
+        }
+    }
+    return result;
+}
 
 /**
- * Adds a subtest to the test based on whether a called function 
- * throws an error. If this is called after the test is finished, an 
- * error will be added instead.
- * 
- * The first parameter is a function, which is run immediately. If it
- * does not throw an exception, then the subtest passes, otherwise
- * it fails. If it does fail, the exception is added as an error.
- * 
- * Note that this function should be synchronous, errors are not caught 
- * if the function is asynchronous. Use a subtest for asynchronous 
- * functions.
+ * Installs a fake clock (see Clock.js), replacing setTimeout, 
+ * setInterval, their clear functions and Date, so that code which waits
+ * can be tested without waiting. The clock only moves when it's told to,
+ * with it's tick and runAll methods. It's uninstalled with a cleanup 
+ * function, so the real ones are back when the test is done. If this is
+ * called again, the clocks are uninstalled newest first, so the real
+ * ones are still what's left.
  * 
- * The return value allows the 'catch' to act as a conditional in an
- * if statement. This is useful, for example, to log an error if the
- * subtest fails. Undefined is returned if the test is finished.
+ * The framework keeps the real timers for itself, so the test can still
+ * time out while the clock is installed. If it does, the message says 
+ * how far the clock was moved and how many timers were waiting on it,
+ * since a timer that was never run is a common reason for that.
  * 
  * Parameters:
- * - fn: a function which is checked for
- * throwing an exception (failed) or not (passed).
- * - name: The name of the subtest.
+ * - now: Optional time to start the clock at, in milliseconds since the
+ * epoch, or a Date. Defaults to the real time.
  * 
- * Returns: Boolean whether the subtest passed or not, or undefined
- * if the test is already finished.
+ * Returns the Clock.
  * */
-Test.prototype.catch = function(fn,name) {
-    if (!this.finished) {
-        // wake up to avoid a timeout...
-        this.ping();
-        
-        var result;
-        if (typeof fn === "function") {
-            try {
-                fn();
-                result = true;
-            } catch (e) {
-                error = e;
-                result = false;
-            }
-            result = this.check(result,name);
-            if (error) {
-                this.error(error);
-            }
-            return result;
-        }
-    } else {
-        this.error("Minitest '" + name + "' triggered after test was completed");
-    }
-   
+Test.prototype.clock = function(now) {
+    var fake = new Clock(now);
+    fake.install();
+    this._clock = fake;
+    this._restoreLater(function() {
+        fake.uninstall();
+    });
+    return fake;
 }
 
-
-
-// NOTE: I'm not using EventEmitters mostly because I want to avoid
-// drawing in stuff I don't really need. I need to handle adding functions,
-// but I don't need to alert about anything but the test finishing,
-// and I don't need the functionality for removing listeners.
-Test.prototype._notifyFinish = function() {
-    if (this._cleanup) {
-        while (this._cleanup.length > 0) {
-            try {
-                this._cleanup.shift()();
-            } catch (e) {
-                this.error(e);
-            }
+// Describes the fake clock created by this test or one of it's 
+// ancestors, for timeout messages, or returns an empty string if there
+// isn't one.
+Test.prototype._describeClock = function() {
+    for (var test = this; test; test = test._parent) {
+        if (test._clock) {
+            return " " + test._clock.describe();
         }
     }
-    if (typeof this._clientFinished === "function") {
-        this._clientFinished(this.finishReason,this.isPassed())
-    }
+    return "";
 }
 
 /**
- * Returns true if the test has met all of the criteria for passing:
- * - test is complete
- * - finishReason is falsy
+ * Replaces a method on an object with a spy, which records each call,
+ * and then calls the original method, so that it works as it did before.
+ * The original is put back with a cleanup function, so it's restored
+ * when the test is done, even if it bailed or timed out. See spy.js for
+ * what's recorded, and Test.prototype.calledWith for checking it.
+ * 
+ * If only a function is passed, a spy which calls that function is 
+ * returned, without replacing anything. If nothing is passed, the spy
+ * does nothing.
+ * 
+ * Parameters:
+ * - obj: The object with the method.
+ * - method: The name of the method.
+ * 
+ * Returns the spy.
+ * */
+Test.prototype.spy = function(obj,method) {
+    var created = spy.create(obj,method);
+    this._restoreLater(created.restore);
+    return created;
+}
+
+/**
+ * Replaces a method on an object with a stub, which records each call,
+ * like Test.prototype.spy, but calls the given implementation instead of
+ * the original method. As with spy, the original is put back when the
+ * test is done.
+ * 
+ * Parameters:
+ * - obj: The object with the method.
+ * - method: The name of the method.
+ * - impl: Optional function to call instead of the method, with the
+ * same arguments and 'this'. By default, the stub does nothing and 
+ * returns undefined.
+ * 
+ * Returns the stub.
+ * */
+Test.prototype.stub = function(obj,method,impl) {
+    var created = spy.create(obj,method,impl || function() {});
+    this._restoreLater(created.restore);
+    return created;
+}
+
+// Calls restore when the test is done, to put back something which was
+// replaced by a spy, stub or clock. These are all called by one cleanup
+// function, newest first, so if the same thing is replaced more than
+// once, the original is what's left.
+Test.prototype._restoreLater = function(restore) {
+    if (!this._restores) {
+        var me = this;
+        var restores = this._restores = [];
+        this.cleanup(function() {
+            me._restores = null;
+            while (restores.length > 0) {
+                restores.pop()();
+            }
+        });
+    }
+    this._restores.push(restore);
+}
+
+/**
+ * Creates a new, empty directory under the operating system's temporary
+ * directory, with a unique name starting with the name of the test. It's
+ * removed, with everything in it, by a cleanup function, so it's gone 
+ * when the test is done, even if it bailed or timed out. If 
+ * keepTmpOnFailure is true, and the test failed, it's kept instead, and 
+ * a comment says where it is.
+ * 
+ * Returns the path of the directory.
+ * */
+Test.prototype.tmpdir = function() {
+    var prefix = "stf-" + String(this.name).replace(/[^\w\-]+/g,"-").slice(0,40) + "-";
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(),prefix));
+    var me = this;
+    this.cleanupAsync(function(done) {
+        if (me.keepTmpOnFailure && !me.isPassed()) {
+            me.comment("The temporary directory " + dir + " was kept, since the test failed.");
+            done();
+        } else {
+            fs.rm(dir,{ recursive: true, force: true },done);
+        }
+    });
+    return dir;
+}
+
+/**
+ * Creates a temporary file with the given contents. The files are 
+ * created in a directory made with Test.prototype.tmpdir the first time
+ * this is called, which is removed the same way.
+ * 
+ * Parameters:
+ * - contents: Optional string or Buffer to write into the file. 
+ * Defaults to an empty file.
+ * - name: Optional name for the file, in case the code being tested 
+ * cares about it, such as the extension. If a name is used twice, the 
+ * file is replaced. By default, the files are numbered.
+ * 
+ * Returns the path of the file.
+ * */
+Test.prototype.tmpfile = function(contents,name) {
+    if (!this._tmpdir) {
+        this._tmpdir = this.tmpdir();
+        this._tmpfiles = 0;
+    }
+    this._tmpfiles += 1;
+    var file = path.join(this._tmpdir,(typeof name === "undefined") ? "file-" + this._tmpfiles : String(name));
+    fs.writeFileSync(file,(typeof contents === "undefined") ? "" : contents);
+    return file;
+}
+
+/**
+ * Initiates a new subtest, the same as Test.prototype.test, but the 
+ * other subtests of this test, which were created with a body and
+ * without calling only, will not have their bodies run. They are marked
+ * as filtered instead, which doesn't fail this test. This makes it 
+ * easy to focus on one subtest while working on it.
+ * 
+ * Since subtest bodies are run asynchronously, this affects subtests
+ * created before it as well, as long as they were created in the same
+ * cycle of the event loop. Subtests created without a body are not
+ * affected, since they are already being used.
+ * 
+ * Parameters: See Test.prototype.test.
+ * */
+Test.prototype.only = function(name,options,body) {
+    if (typeof options === "function") {
+        body = options;
+        options = void 0;
+    } 
+    if ((typeof options !== "object") || (options === null)) {
+        options = { timeout: options };
+    }
+    var onlyOptions = { only: true };
+    Object.keys(options).forEach(function(key) {
+        if (key !== "only") {
+            onlyOptions[key] = options[key];
+        }
+    });
+    return this.test(name,onlyOptions,body);
+}
+
+/**
+ * Creates a Test which is already finished, and won't be run. This is
+ * used for skipped and filtered tests, there's usually no reason to
+ * call it yourself.
+ * Parameters:
+ * - name: The name of the test.
+ * - directive: The reason it won't be run, see Test.directive.
+ * - reason: An explanation for the directive, or null.
+ * - timeout: The timeout it would have had, kept for the record.
+ * */
+Test.createNotRun = function(name,directive,reason,timeout) {
+    // No timeout, since it isn't running.
+    var result = new Test(name,0);
+    if (typeof timeout !== "undefined") {
+        result.timeout = timeout;
+    }
+    result.directive = directive;
+    result.directiveReason = (typeof reason === "undefined") ? null : reason;
+    result.finished = true;
+    result.endTime = result.startTime;
+    result.duration = 0;
+    return result;
+}
+
+/**
+ * Converts a name filter into the form used by Test. A name filter is
+ * a list of patterns, one for each level of the test tree: the first
+ * one is matched against the names of root tests, the second against 
+ * their subtests, and so on. Tests on levels deeper than the list are
+ * not filtered. The filter can be given as:
+ * - A RegExp, which is matched against the whole path of each test
+ *   instead, the names of the test and it's ancestors joined with 
+ *   " > ", such as "Root > sub". See Test.applyFilter.
+ * - A string, which is split into levels at " > ". Each level which 
+ *   looks like a regular expression, such as "/^foo/i", is converted
+ *   into a RegExp, the others must match the name exactly. If there's 
+ *   only the one level, and it's a regular expression, it's matched 
+ *   against the whole path, as a RegExp is.
+ * - An array of strings and RegExps, one for each level.
+ * 
+ * Parameters:
+ * - filter: The filter to convert. 
+ * 
+ * Returns: An array of strings and RegExps, or null if the filter is
+ * empty. A filter for the whole path is an array with one object in it,
+ * with the RegExp as it's 'pattern', and the names of the ancestors of
+ * the tests it applies to as it's 'names'.
+ * */
+Test.parseFilter = function(filter) {
+    if ((filter === null) || (typeof filter === "undefined") || (filter === "")) {
+        return null;
+    }
+    if (typeof filter === "string") {
+        filter = filter.split(" > ").map(function(level) {
+            var match = /^\/(.*)\/([a-z]*)$/.exec(level);
+            return match ? new RegExp(match[1],match[2]) : level;
+        });
+        if ((filter.length === 1) && (filter[0] instanceof RegExp)) {
+            filter = filter[0];
+        }
+    }
+    if (filter instanceof RegExp) {
+        return [{ pattern: filter, names: [] }];
+    }
+    if (!Array.isArray(filter)) {
+        filter = [filter];
+    }
+    return filter.length ? filter : null;
+}
+
+/**
+ * Applies a name filter, from Test.parseFilter, to a test with the given
+ * name. For a filter with levels, the test is run if it's name matches
+ * the first level, and it's subtests get the rest of them. For a filter
+ * on the whole path, the test and everything in it is run if the path 
+ * matches. If it doesn't, a subtest might still match, so the test is 
+ * run anyway, but it's only kept in the results if one does. See 
+ * Test.filterPending.
+ * 
+ * Parameters:
+ * - filter: The name filter, which isn't null.
+ * - name: The name of the test.
+ * 
+ * Returns: null if the test shouldn't be run, otherwise an object with 
+ * the 'filter' for it's subtests, or null if they aren't filtered, and 
+ * 'matched', which is false if the test is only run to look for 
+ * subtests which match.
+ * */
+Test.applyFilter = function(filter,name) {
+    var level = filter[0];
+    if (level && level.pattern) {
+        var names = level.names.concat([name]);
+        // reset, in case it's global.
+        level.pattern.lastIndex = 0;
+        if (level.pattern.test(names.join(" > "))) {
+            return { filter: null, matched: true };
+        }
+        return { filter: [{ pattern: level.pattern, names: names }], matched: false };
+    }
+    if (!Test.matchFilter(level,name)) {
+        return null;
+    }
+    return { filter: (filter.length > 1) ? filter.slice(1) : null, matched: true };
+}
+
+/**
+ * Returns true if a test name matches one level of a name filter. See
+ * Test.parseFilter.
+ * Parameters:
+ * - level: A string or RegExp.
+ * - name: The name of the test.
+ * */
+Test.matchFilter = function(level,name) {
+    if (level instanceof RegExp) {
+        // reset, in case it's global.
+        level.lastIndex = 0;
+        return level.test(name);
+    }
+    return level === name;
+}
+
+// Adds a newly created subtest to the contents and counts. The subtest
+// is expected to call _subtestFinished when it's done. This is separate
+// from Test.prototype.test so the main module can put root tests 
+// under another test (see the 'parent' property in index.js).
+Test.prototype._addSubtest = function(result) {
+    // wake up to avoid a timeout...
+    this.ping();
+    
+    this.contents.push(result);
+    // increment pending.
+    this.pending += 1;
+    // increment total now, even though it hasn't passed or failed yet.
+    this.total += 1;
+    this._emit("subtest",result);
+    // since the finish after depends on total value, check
+    // if we should be finished.
+    this._checkFinishAfter();
+}
+
+// Puts a new attempt at a subtest in the place of the last one, when
+// it's retried. The counts don't change, since the subtest is still
+// pending, it's just a different Test that will report now.
+Test.prototype._replaceSubtest = function(previous,retry) {
+    // wake up to avoid a timeout...
+    this.ping();
+    var index = this.contents.indexOf(previous);
+    if (index > -1) {
+        this.contents[index] = retry;
+    } else {
+        this.contents.push(retry);
+    }
+    this._emit("subtest",retry);
+}
+
+// Adds a subtest which is already finished, and won't be run, as
+// created by Test.createNotRun. 
+Test.prototype._addNotRun = function(result) {
+    if (!this.finished) {
+        // wake up to avoid a timeout...
+        this.ping();
+        
+        this.contents.push(result);
+        this.skipped += 1;
+        this.total += 1;
+        this._emit("subtest",result);
+        // since the finish after depends on total value, check
+        // if we should be finished.
+        this._checkFinishAfter();
+        return result;
+    } else {
+        this.error("Subtest '" + result.name + "' triggered after test was completed");
+    }
+}
+
+Test.prototype._checkFinishAfter = function() {
+    if ((this.expected !== null) &&
+         (this.expected <= this.total)) {
+       // automatically finish normally.
+       this.finish();
+    }
+}
+
+/**
+ * Tells the test to automatically finish after a certain number of tests
+ * have been made. If that number of tests hasn't been reached by the
+ * time the test times out, or otherwise finishes, the test will be
+ * considered incomplete. 
+ * 
+ * This can be called more than once to change the number of tests that
+ * are expected. When increasing, be careful that the test has already
+ * completed. When decreasing, this may automatically finish the test
+ * if that number of tests are already completed.
+ * 
+ * Note that if the expected number of tests are not reached, and 
+ * finish is never called, then the test will time out.
+ * Also note that having more tests than this value when the test is 
+ * finished means that the test has not passed.
+ * 
+ * Parameters:
+ * - count: The number of tests to expect.
+ * */
+Test.prototype.finishAfter = function(count) {
+    if (!this.finished) {
+        // wake up to avoid a timeout...
+        this.ping();
+        
+        this.expected = count;
+        // check if we should finish the test, such as if the user
+        // set this to a lower value than the number of tests than
+        // have already been made.
+        this._checkFinishAfter();
+    } else {
+        this.error("Expected test count increased by " + count + " after completion.");
+    }
+}
+
+/**
+ * Creates a subtest (a Minitest) that passes immediately. If
+ * this is called after the test is finished, an error will be added 
+ * instead.
+ * 
+ * The first parameter is a truthy/falsy value. The value is used as the 
+ * pass/fail result of the subtest. 
+ * 
+ * The return value allows the 'check' to act as a conditional in an
+ * if statement. This is useful, for example, to log an error if the
+ * subtest fails. Undefined is returned if the test is finished.
+ * 
+ * Parameters:
+ * - result: a boolean indicating whether the subtest 
+ * passed (true) or failed (false).
+ * - name: The name of the subtest.
+ * 
+ * Returns: Boolean whether the subtest passed or not, or undefined
+ * if the test is already finished.
+ * */
+Test.prototype.check = function(result,name) {
+    return this._check(result,name);
+}
+
+// Does the work for check. If startTime is given, the Minitest is
+// timed from then, see Test.prototype.resolves. The location is found 
+// from the trace, see captureTrace, or from here if there isn't one.
+Test.prototype._check = function(result,name,startTime,trace) {
+    if (!this.finished) {
+        // wake up to avoid a timeout...
+        this.ping();
+        
+        result = !!result;
+        var minitest = new Minitest(name,result);
+        minitest._trace = trace || captureTrace();
+        if (typeof startTime === "number") {
+            minitest.startTime = startTime;
+            minitest.duration = minitest.endTime - startTime;
+        }
+        this.contents.push(minitest);
+        this._emit("minitest",minitest);
+        if (result) {
+            this.passed += 1;
+        } else {
+            this.failed += 1;
+        }
+        this.total += 1;
+        // since the finish after depends on total value, check
+        // if we should be finished.
+        this._checkFinishAfter();
+        return result;
+    } else {
+        this.error("Minitest '" + name + "' triggered after test was completed");
+    }
+   
+}
+
+
+/**
+ * Adds a subtest to the test based on whether a called function 
+ * throws an error. If this is called after the test is finished, an 
+ * error will be added instead.
+ * 
+ * The first parameter is a function, which is run immediately. If it
+ * does not throw an exception, then the subtest passes, otherwise
+ * it fails. If it does fail, the exception is added as an error.
+ * 
+ * Note that this function should be synchronous, errors are not caught 
+ * if the function is asynchronous. Use a subtest for asynchronous 
+ * functions.
+ * 
+ * The return value allows the 'catch' to act as a conditional in an
+ * if statement. This is useful, for example, to log an error if the
+ * subtest fails. Undefined is returned if the test is finished.
+ * 
+ * Parameters:
+ * - fn: a function which is checked for
+ * throwing an exception (failed) or not (passed).
+ * - name: The name of the subtest.
+ * 
+ * Returns: Boolean whether the subtest passed or not, or undefined
+ * if the test is already finished.
+ * */
+Test.prototype.catch = function(fn,name) {
+    if (!this.finished) {
+        // wake up to avoid a timeout...
+        this.ping();
+        
+        var result;
+        var error;
+        if (typeof fn === "function") {
+            try {
+                fn();
+                result = true;
+            } catch (e) {
+                error = e;
+                result = false;
+            }
+            result = this.check(result,name);
+            if (error) {
+                this.error(error);
+            }
+            return result;
+        }
+    } else {
+        this.error("Minitest '" + name + "' triggered after test was completed");
+    }
+   
+}
+
+
+
+/**
+ * Creates a subtest (a Minitest) that passes if the actual value equals
+ * the expected value, using '==', as with assert.equal. If it fails, an
+ * error is added with the values, see Test.prototype.check.
+ * 
+ * This, and the other assertion methods below, work just like check: 
+ * they count towards finishAfter in the same way, and they return 
+ * whether the Minitest passed, or undefined if the test is already 
+ * finished. The error added when they fail is an object with the 
+ * properties 'expected', 'actual' and 'operator'. 
+ * 
+ * Parameters:
+ * - actual: The value to check.
+ * - expected: The value it should be equal to.
+ * - name: The name of the subtest.
+ * 
+ * Returns: Boolean whether the subtest passed or not, or undefined
+ * if the test is already finished.
+ * */
+Test.prototype.equal = function(actual,expected,name) {
+    return this._assert(passes(assert.equal,actual,expected),name,expected,actual,"==");
+}
+
+/**
+ * Creates a subtest (a Minitest) that passes if the actual value does not
+ * equal the expected value, using '!=', as with assert.notEqual. See 
+ * Test.prototype.equal.
+ * 
+ * Parameters:
+ * - actual: The value to check.
+ * - expected: The value it should not be equal to.
+ * - name: The name of the subtest.
+ * */
+Test.prototype.notEqual = function(actual,expected,name) {
+    return this._assert(passes(assert.notEqual,actual,expected),name,expected,actual,"!=");
+}
+
+/**
+ * Creates a subtest (a Minitest) that passes if the actual value 
+ * strictly equals the expected value, using '===', as with 
+ * assert.strictEqual. See Test.prototype.equal.
+ * 
+ * Parameters:
+ * - actual: The value to check.
+ * - expected: The value it should be equal to.
+ * - name: The name of the subtest.
+ * */
+Test.prototype.strictEqual = function(actual,expected,name) {
+    return this._assert(passes(assert.strictEqual,actual,expected),name,expected,actual,"===");
+}
+
+/**
+ * Creates a subtest (a Minitest) that passes if the actual value has the
+ * same properties and values as the expected value, as with 
+ * assert.deepEqual. See Test.prototype.equal.
+ * 
+ * Parameters:
+ * - actual: The value to check.
+ * - expected: The value it should be equal to.
+ * - name: The name of the subtest.
+ * */
+Test.prototype.deepEqual = function(actual,expected,name) {
+    return this._assert(passes(assert.deepEqual,actual,expected),name,expected,actual,"deepEqual");
+}
+
+/**
+ * Creates a subtest (a Minitest) that passes if the actual value is a 
+ * string matching the regular expression. If expected isn't a RegExp,
+ * the subtest fails. See Test.prototype.equal.
+ * 
+ * Parameters:
+ * - actual: The value to check.
+ * - expected: The RegExp it should match.
+ * - name: The name of the subtest.
+ * */
+Test.prototype.match = function(actual,expected,name) {
+    if (!(expected instanceof RegExp)) {
+        // there's nothing to match against, so it can't pass.
+        return this._assert(false,name,expected,actual,"match");
+    }
+    // reset, in case it's global.
+    expected.lastIndex = 0;
+    return this._assert((typeof actual === "string") && expected.test(actual),name,expected,actual,"match");
+}
+
+/**
+ * Creates a subtest (a Minitest) that passes if a function throws an
+ * error when called. This is the opposite of Test.prototype.catch, and
+ * the same notes about synchronous functions apply. See also 
+ * Test.prototype.equal.
+ * 
+ * The expected value is optional. If given, the error must also match
+ * it, as with assert.throws: it can be a constructor the error must be
+ * an instance of, a RegExp to test the error with, a validation function,
+ * or an object whose properties must match the error's. 
+ * 
+ * If fn isn't a function, the subtest fails, rather than passing 
+ * because calling it threw a TypeError.
+ * 
+ * Parameters:
+ * - fn: The function to call.
+ * - expected: What the error should match, optional.
+ * - name: The name of the subtest.
+ * */
+Test.prototype.throws = function(fn,expected,name) {
+    // argument overloading, expected is optional.
+    if ((typeof expected === "string") && (typeof name === "undefined")) {
+        name = expected;
+        expected = void 0;
+    }
+    if (typeof fn !== "function") {
+        // See the similar note in Test.prototype.match
+        return this._assert(false,name,"a function which throws",fn,"throws");
+    }
+    var thrown = false;
+    var error;
+    try {
+        fn();
+    } catch (e) {
+        thrown = true;
+        error = e;
+    }
+    var passed = thrown;
+    if (thrown && (typeof expected !== "undefined")) {
+        try {
+            assert.throws(function() {
+                throw error;
+            },expected);
+        } catch (e) {
+            // assert.throws either throws an AssertionError, or the
+            // error itself, if it doesn't match.
+            passed = false;
+        }
+    }
+    return this._assert(passed,name,(typeof expected === "undefined") ? "an error to be thrown" : expected,error,"throws");
+}
+
+/**
+ * Creates a subtest (a Minitest) that passes if a value matches the
+ * snapshot stored for it by an earlier run. The snapshots are kept in 
+ * a file next to the test file, see snapshot.js, and the value is 
+ * compared as text, serialized so that the same value always gives the
+ * same text. If it fails, the error has the stored text as the expected
+ * value and the new text as the actual one, so the differences are 
+ * shown. See Test.prototype.equal.
+ * 
+ * Each snapshot is stored with a key made from the names of the test,
+ * it's ancestors and the snapshot, joined by " > ", followed by a number
+ * counting the snapshots with that name in the test, starting at 1. So
+ * the tests and snapshots shouldn't be renamed, or the old snapshots
+ * become obsolete, and new ones are stored.
+ * 
+ * If there's no snapshot for the key, the value is stored, and the 
+ * subtest passes. If updateSnapshots is true, the value replaces the
+ * stored snapshot, and the subtest passes as well.
+ * 
+ * Parameters:
+ * - value: The value to check. Strings are stored as they are, anything
+ * else is inspected.
+ * - name: The name of the subtest, and of the snapshot. Defaults to 
+ * "snapshot".
+ * */
+Test.prototype.matchSnapshot = function(value,name) {
+    name = (typeof name === "undefined") ? "snapshot" : String(name);
+    if (this.finished) {
+        // let check complain about it.
+        return this.check(false,name);
+    }
+    var names = [name];
+    var root = this;
+    for (var test = this; test; test = test._parent) {
+        names.unshift(test.name);
+        root = test;
+    }
+    // the root test was created in the test file, anything else could
+    // be in a helper module.
+    var location = root.location || findLocation();
+    if (!location) {
+        this.error("The test file couldn't be found, so there's nowhere to keep the snapshot '" + name + "'.");
+        return this.check(false,name);
+    }
+    var key = names.join(" > ");
+    this._snapshotCounts = this._snapshotCounts || {};
+    this._snapshotCounts[key] = (this._snapshotCounts[key] || 0) + 1;
+    key += " " + this._snapshotCounts[key];
+    var result = snapshot.match(snapshot.fileFor(location.file),key,value,this.updateSnapshots);
+    return this._assert(result.passed,name,result.expected,result.actual,"matchSnapshot");
+}
+
+/**
+ * Creates a subtest (a Minitest) that passes if a spy or stub, made with 
+ * Test.prototype.spy or stub, has been called. See Test.prototype.equal.
+ * 
+ * Parameters:
+ * - fn: The spy.
+ * - name: The name of the subtest.
+ * */
+Test.prototype.called = function(fn,name) {
+    var count = callsOf(fn).length;
+    return this._assert(count > 0,name,"at least 1 call",count + " calls","called");
+}
+
+/**
+ * Creates a subtest (a Minitest) that passes if a spy or stub has been
+ * called exactly the given number of times. See Test.prototype.equal.
+ * 
+ * Parameters:
+ * - fn: The spy.
+ * - count: The number of calls expected.
+ * - name: The name of the subtest.
+ * */
+Test.prototype.calledTimes = function(fn,count,name) {
+    return this._assert(callsOf(fn).length === count,name,count,callsOf(fn).length,"calledTimes");
+}
+
+/**
+ * Creates a subtest (a Minitest) that passes if a spy or stub has been
+ * called at least once with arguments which have the same values as the
+ * expected ones, compared as with Test.prototype.deepEqual. If it fails,
+ * the actual value in the error is the arguments of every call. See 
+ * Test.prototype.equal.
+ * 
+ * Parameters:
+ * - fn: The spy.
+ * - args: An array of the expected arguments.
+ * - name: The name of the subtest.
+ * */
+Test.prototype.calledWith = function(fn,args,name) {
+    var actual = callsOf(fn).map(function(call) {
+        return call.args;
+    });
+    var passed = actual.some(function(callArgs) {
+        return passes(assert.deepEqual,callArgs,args);
+    });
+    return this._assert(passed,name,args,actual,"calledWith");
+}
+
+// Returns the calls recorded by a spy, or throws if it isn't one, since
+// that's a mistake in the test rather than a failure.
+var callsOf = function(fn) {
+    if (!spy.isSpy(fn)) {
+        throw new TypeError("Expected a spy or stub, made with Test.prototype.spy or stub.");
+    }
+    return fn.calls;
+}
+
+/**
+ * The operators in the errors added by the assertion methods, such as
+ * Test.prototype.equal, when they fail. ResultWriter uses these to tell
+ * those errors apart from other data with 'expected' and 'actual' 
+ * properties.
+ * */
+var ASSERTION_OPERATORS = module.exports.ASSERTION_OPERATORS = ["==","!=","===","deepEqual","match","throws","matchSnapshot","called","calledTimes","calledWith"];
+
+// Does the work for the assertion methods: adds the Minitest, and if it
+// failed, an error explaining why.
+Test.prototype._assert = function(passed,name,expected,actual,operator) {
+    var result = this.check(passed,name);
+    if (result === false) {
+        this.error({
+            expected: expected,
+            actual: actual,
+            operator: operator
+        });
+    }
+    return result;
+}
+
+// Returns true if a function from the assert module passes with the given
+// arguments, false if it throws an AssertionError.
+var passes = function(assertion,actual,expected) {
+    try {
+        assertion(actual,expected);
+        return true;
+    } catch (e) {
+        if (e instanceof assert.AssertionError) {
+            return false;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Adds a subtest (a Minitest) to the test once a promise resolves, passing
+ * if it resolved, and failing if it rejected. If it does reject, the
+ * reason is added as an error. As with check, if this happens after the 
+ * test is finished, an error will be added instead. 
+ * 
+ * Since the Minitest isn't added until later, this returns a promise,
+ * which can be waited for in an async test body. 
+ * 
+ * Parameters:
+ * - promise: a promise, or anything with a 'then' method, or a 
+ * function which returns one. If the function throws an error, that
+ * is treated as a rejection.
+ * - name: The name of the subtest.
+ * 
+ * Returns: A promise for a Boolean whether the subtest passed or not, 
+ * or undefined if the test is already finished. It does not reject.
+ * */
+Test.prototype.resolves = function(promise,name) {
+    return this._settled(promise,name,true);
+}
+
+/**
+ * Adds a subtest (a Minitest) to the test once a promise settles, passing
+ * if it rejected, and failing if it resolved. This otherwise works the 
+ * same as Test.prototype.resolves. 
+ * 
+ * Parameters:
+ * - promise: a promise, or anything with a 'then' method, or a 
+ * function which returns one. If the function throws an error, that
+ * is treated as a rejection.
+ * - name: The name of the subtest.
+ * 
+ * Returns: A promise for a Boolean whether the subtest passed or not, 
+ * or undefined if the test is already finished. It does not reject.
+ * */
+Test.prototype.rejects = function(promise,name) {
+    return this._settled(promise,name,false);
+}
+
+// Does the work for resolves and rejects, shouldResolve indicates
+// which one.
+Test.prototype._settled = function(promise,name,shouldResolve) {
+    if (!this.finished) {
+        // wake up to avoid a timeout...
+        this.ping();
+        
+        if (typeof promise === "function") {
+            try {
+                promise = promise();
+            } catch (e) {
+                promise = Promise.reject(e);
+            }
+        }
+        if (!promise || (typeof promise.then !== "function")) {
+            this.check(false,name);
+            this.error("Expected a promise, got: " + promise);
+            return Promise.resolve(false);
+        }
+        var me = this;
+        var startTime = Date.now();
+        // the tests won't be on the stack once it settles.
+        var trace = captureTrace();
+        return promise.then(function() {
+            // the Minitest should show how long it took to settle.
+            return me._check(shouldResolve,name,startTime,trace);
+        },function(err) {
+            var result = me._check(!shouldResolve,name,startTime,trace);
+            if (shouldResolve) {
+                me.error(err);
+            }
+            return result;
+        });
+    } else {
+        this.error("Minitest '" + name + "' triggered after test was completed");
+    }
+}
+
+/**
+ * Creates a subtest (a Minitest) which was skipped. This is useful for
+ * checks which can't be made in the current environment. A skipped 
+ * Minitest counts towards the total, but neither passes nor fails. If 
+ * this is called after the test is finished, an error will be added
+ * instead.
+ * 
+ * Parameters:
+ * - name: The name of the subtest.
+ * - reason: An optional explanation of why it was skipped.
+ * */
+Test.prototype.skip = function(name,reason) {
+    this._addDirective(name,"skip",reason);
+}
+
+/**
+ * Creates a subtest (a Minitest) which hasn't been written yet. A todo
+ * Minitest counts towards the total, but neither passes nor fails. If 
+ * this is called after the test is finished, an error will be added
+ * instead.
+ * 
+ * Parameters:
+ * - name: The name of the subtest.
+ * */
+Test.prototype.todo = function(name) {
+    this._addDirective(name,"todo");
+}
+
+// Does the work for skip and todo.
+Test.prototype._addDirective = function(name,directive,reason) {
+    if (!this.finished) {
+        // wake up to avoid a timeout...
+        this.ping();
+        
+        var minitest = new Minitest(name,false,directive,reason);
+        minitest._trace = captureTrace();
+        this.contents.push(minitest);
+        this._emit("minitest",minitest);
+        if (directive === "skip") {
+            this.skipped += 1;
+        } else {
+            this.todos += 1;
+        }
+        this.total += 1;
+        // since the finish after depends on total value, check
+        // if we should be finished.
+        this._checkFinishAfter();
+    } else {
+        this.error("Minitest '" + name + "' triggered after test was completed");
+    }
+}
+
+// Reports to the parent once the test is finished and it's subtests are
+// done, after running the afterEach hooks and cleanup functions. The
+// parent is told through _clientFinished rather than an event, since
+// there's only ever one of them, and it has to be told last.
+Test.prototype._notifyFinish = function() {
+    var me = this;
+    var hooks = this._afterEachHooks || [];
+    this._afterEachHooks = null;
+    // Teardown may be asynchronous, so errors it causes need to come
+    // here, see Test.prototype._onError.
+    this._tearingDown = true;
+    capture.run(this,function() {
+        callInOrder(hooks,[me],me.timeout,"afterEach hook",false,function(err) {
+            me.error(err);
+            // it's already finished, so it can't bail, but it should
+            // look the same.
+            if (!me.finishReason) {
+                me.finishReason = "bail";
+                me.error("Test bailed due to an error in an afterEach hook.");
+            }
+        },function() {
+            me._runCleanup(function() {
+                me._tearingDown = false;
+                me.endTime = Date.now();
+                me.duration = me.endTime - me.startTime;
+                if (me.filterPending) {
+                    // nothing in it matched the filter, see Test.applyFilter.
+                    me.directive = "filter";
+                }
+                me._emit("cleanup");
+                if (typeof me._clientFinished === "function") {
+                    me._clientFinished(me.finishReason,me.isPassed(),me.directive)
+                }
+            });
+        });
+    });
+}
+
+// Calls the cleanup functions in order, waiting for each one to finish,
+// and then calls done.
+Test.prototype._runCleanup = function(done) {
+    var me = this;
+    var next = function() {
+        if (!me._cleanup || (me._cleanup.length === 0)) {
+            done();
+            return;
+        }
+        var item = me._cleanup.shift();
+        var timeout = (typeof item.timeout === "number") ? item.timeout : me.timeout;
+        callAsync(item.fn,[],item.callback,timeout,"Cleanup function",function(err) {
+            if (err) {
+                me.error(err);
+            }
+            next();
+        });
+    }
+    next();
+}
+
+/**
+ * Adds a listener for an event in the life of the test, so that the
+ * results can be reported as they happen. The events are:
+ * - "subtest": A subtest was added, which is passed to the listener. It
+ *   may be a test which won't be run (see Test.directive), in which case
+ *   it's already finished.
+ * - "start": The test was queued (see Test.queued), and now it's 
+ *   starting. Tests which weren't queued don't emit this.
+ * - "minitest": A Minitest was added, which is passed to the listener.
+ * - "annotation": A comment or error was added, the Annotation is passed
+ *   to the listener.
+ * - "finish": The test was finished, the finishReason is passed to the
+ *   listener. It's subtests might not be done yet.
+ * - "cleanup": The test is completed: it's subtests are done, and the
+ *   afterEach hooks and cleanup functions have been run. This is just
+ *   before the parent is told.
+ * 
+ * Events are only for this test, not it's subtests. Listen for 
+ * "subtest" to add listeners to those. Listeners are called with the
+ * test as 'this'. An error thrown by a listener is written to the
+ * console, rather than breaking the test.
+ * 
+ * Parameters:
+ * - event: The name of the event.
+ * - listener: The function to call.
+ * */
+Test.prototype.on = function(event,listener) {
+    if (typeof listener === "function") {
+        if (!this._listeners) {
+            this._listeners = {};
+        }
+        if (!this._listeners[event]) {
+            this._listeners[event] = [listener];
+        } else {
+            this._listeners[event].push(listener);
+        }
+    }
+}
+
+/**
+ * Removes a listener added with Test.prototype.on.
+ * 
+ * Parameters:
+ * - event: The name of the event.
+ * - listener: The function to remove.
+ * */
+Test.prototype.off = function(event,listener) {
+    var listeners = this._listeners && this._listeners[event];
+    if (listeners) {
+        var index = listeners.indexOf(listener);
+        if (index > -1) {
+            listeners.splice(index,1);
+        }
+    }
+}
+
+// Calls the listeners for an event, with the rest of the arguments.
+Test.prototype._emit = function(event) {
+    var listeners = this._listeners && this._listeners[event];
+    if (listeners) {
+        var args = Array.prototype.slice.call(arguments,1);
+        // copied, in case a listener removes itself.
+        listeners.slice().forEach(function(listener) {
+            try {
+                listener.apply(this,args);
+            } catch (e) {
+                // Not added as an error, since the listener would
+                // probably just throw again. Same as the writer in
+                // index.js.
+                console.error(e.stack);
+            }
+        }.bind(this));
+    }
+}
+
+/**
+ * Returns true if the test has met all of the criteria for passing:
+ * - test is complete
+ * - finishReason is falsy
  * - failed is 0
  * - errors is 0 (yes, all of the tests and checks passed, but 
  *   an error should only be passed if something isn't right)
@@ -525,6 +2003,37 @@ Test.prototype.isCompleted = function() {
 
 
 
+/**
+ * Finds the slowest tests inside this one, at any depth, which have been
+ * completed and were actually run. 
+ * 
+ * Parameters:
+ * - count: The maximum number of tests to return.
+ * 
+ * Returns: An array of objects, slowest first, with the 'test', and
+ * it's 'path', an array of the names of the tests leading to it, 
+ * starting with the name of the child of this test.
+ * */
+Test.prototype.findSlowest = function(count) {
+    var found = [];
+    var search = function(test,path) {
+        test.contents.forEach(function(item) {
+            if ((item instanceof Test) && (!item.directive)) {
+                var itemPath = path.concat([item.name]);
+                if (typeof item.duration === "number") {
+                    found.push({ test: item, path: itemPath });
+                }
+                search(item,itemPath);
+            }
+        });
+    }
+    search(this,[]);
+    found.sort(function(a,b) {
+        return b.test.duration - a.test.duration;
+    });
+    return found.slice(0,count);
+}
+
 /**
  * Used to indicate that the test is considered done. If there are no
  * pending subtests, the parent will also be notified that it is done.
@@ -536,12 +2045,15 @@ Test.prototype.isCompleted = function() {
  * string. The Test code itself makes use of the following strings:
  * - "bail": An uncaught exception aborted the test.
  * - "timeout": The test did not complete in a timely manner.
+ * - "deadline": The test was still running at it's deadline, see
+ *   Test.prototype.setDeadline.
  * 
  * Parameters:
  * - reason: a string indicating the reason for completion, or none if
  * the test completed normally. Recognized values are:
  *   - "bail" if the test was finished due to an exception
  *   - "timeout" if the test was stopped because it was taking too long. 
+ *   - "deadline" if the test was stopped because it passed it's deadline.
  * Other values will be allowed, however.
  * */
 Test.prototype.finish = function(reason) {
@@ -549,6 +2061,10 @@ Test.prototype.finish = function(reason) {
         this.finished = true;
         // this should clear the timeout, to prevent it from occurring again.
         this.ping();
+        if (this._deadlineTimer) {
+            clearTimeout(this._deadlineTimer);
+            this._deadlineTimer = null;
+        }
         
         this.finishReason = reason;
         // Need to put a comment in right here, so we know where it bailed.
@@ -558,13 +2074,18 @@ Test.prototype.finish = function(reason) {
                     this.error("Test bailed due to an uncaught exception.");
                     break;
                 case "timeout":
-                    this.error("Test timed out due to no activity in " + this.timeout + " milliseconds.");
+                    this.error("Test timed out due to no activity in " + this.timeout + " milliseconds." + this._describeClock());
+                    break;
+                case "deadline":
+                    this.error("Test was stopped at it's deadline, " + this.deadline + " milliseconds after it started." + this._describeClock());
                     break;
                 default:
                     this.error("Test finished abnormally, reason given was '" + this.finishReason + "'");
             }
         }
         
+        this._emit("finish",reason);
+        
         // Can't just check isCompleted, because that depends on 
         // expected, and we need to finish whether we've seen all
         // of those tests or not.
@@ -578,27 +2099,196 @@ Test.prototype.finish = function(reason) {
     
 }
 
+/**
+ * Returns a JSON compatible object for the test and all of it's 
+ * contents, so the results can be saved and read again later with
+ * Test.fromJSON. Only the results are kept, cleanup functions and
+ * the callback for the parent are not.
+ * */
+Test.prototype.toJSON = function() {
+    return {
+        type: "test",
+        name: this.name,
+        contents: this.contents.map(function(item) {
+            return (item && (typeof item.toJSON === "function")) ? item.toJSON() : item;
+        }),
+        passed: this.passed,
+        failed: this.failed,
+        skipped: this.skipped,
+        todos: this.todos,
+        expected: this.expected,
+        total: this.total,
+        pending: this.pending,
+        finished: this.finished,
+        finishReason: this.finishReason,
+        errors: this.errors,
+        directive: this.directive,
+        directiveReason: this.directiveReason,
+        timeout: this.timeout,
+        deadline: this.deadline,
+        startTime: this.startTime,
+        endTime: this.endTime,
+        duration: this.duration,
+        location: this.location,
+        attempts: this.attempts.map(function(attempt) {
+            return attempt.toJSON();
+        })
+    };
+}
+
+/**
+ * Creates a Test from an object created by Test.prototype.toJSON, 
+ * or from that object after being stringified and parsed again. The
+ * new test will give the same results as the original, but it is
+ * not 'running': it has no timer, and nothing is notified if it is 
+ * finished. 
+ * Parameters:
+ * - obj: The object to read.
+ * */
+Test.fromJSON = function(obj) {
+    // Pass a zero timeout so a timer isn't started.
+    var result = new Test(obj.name,0);
+    result.contents = obj.contents.map(function(item) {
+        switch (item && item.type) {
+            case "test":
+                return Test.fromJSON(item);
+            case "minitest":
+                return Minitest.fromJSON(item);
+            case "annotation":
+                return Annotation.fromJSON(item);
+            default:
+                return item;
+        }
+    });
+    result.passed = obj.passed;
+    result.failed = obj.failed;
+    result.skipped = obj.skipped || 0;
+    result.todos = obj.todos || 0;
+    result.expected = obj.expected;
+    result.total = obj.total;
+    result.pending = obj.pending;
+    result.finished = obj.finished;
+    result.finishReason = obj.finishReason;
+    result.errors = obj.errors;
+    result.directive = obj.directive || null;
+    result.directiveReason = (typeof obj.directiveReason === "undefined") ? null : obj.directiveReason;
+    if (typeof obj.timeout === "number") {
+        result.timeout = obj.timeout;
+    }
+    // Not setDeadline, since that would start a timer.
+    result.deadline = obj.deadline || 0;
+    if (typeof obj.startTime === "number") {
+        result.startTime = obj.startTime;
+        result.endTime = (typeof obj.endTime === "number") ? obj.endTime : null;
+        result.duration = (typeof obj.duration === "number") ? obj.duration : null;
+    }
+    if (Array.isArray(obj.attempts)) {
+        result.attempts = obj.attempts.map(Test.fromJSON);
+    }
+    result.location = obj.location || null;
+    return result;
+}
+
+// Finishes this test with the results of another one, such as one read
+// with Test.fromJSON, as if they had happened here. This is how Runner 
+// gets the results of a test file run in another process into the
+// test for that file. The reason is used as the finishReason, instead
+// of the other test's, if it's given.
+Test.prototype._finishWith = function(other,reason) {
+    if (this.finished) {
+        this.error("An extra attempt was made to finish the test, with the results of '" + other.name + "'");
+        return;
+    }
+    other.contents.forEach(function(item) {
+        this.contents.push(item);
+        if (item instanceof Test) {
+            this._emit("subtest",item);
+        } else if (item instanceof Minitest) {
+            this._emit("minitest",item);
+        } else {
+            this._emit("annotation",item);
+        }
+    }.bind(this));
+    this.passed += other.passed;
+    this.failed += other.failed;
+    this.skipped += other.skipped;
+    this.todos += other.todos;
+    this.total += other.total;
+    this.errors += other.errors;
+    // the other test's subtests aren't going to report here, so they're
+    // just left as pending, which leaves this incomplete.
+    this.pending += other.pending;
+    if (other.expected !== null) {
+        this.expected = other.expected;
+    }
+    this.finished = true;
+    this.ping();
+    this.setDeadline(0);
+    this.finishReason = reason || other.finishReason;
+    this._emit("finish",this.finishReason);
+    this._notifyFinish();
+}
+
 /**
  * Adds a function that will be called when the test is finished, which
- * is useful for cleaning up resources. The function will receive no 
- * parameters. This function will be called after the test has been
- * marked as finished, and after all subtest's have reported as 
- * finished, but before this test reports to it's parents as finished. 
+ * is useful for cleaning up resources. This function will be called 
+ * after the test has been marked as finished, and after all subtest's 
+ * have reported as finished, but before this test reports to it's 
+ * parents as finished. 
  * 
  * If multiple cleanup functions are added, they will be called in the
- * order that they were added.
+ * order that they were added, each one waiting for the one before it
+ * to finish.
+ * 
+ * Cleanup functions may be asynchronous. If the function returns a 
+ * promise (anything with a 'then' method), it's done when the promise
+ * settles. For functions which take a callback instead, use 
+ * Test.prototype.cleanupAsync. Errors thrown by the function, rejected
+ * by the promise, or uncaught in the asynchronous calls it makes, are 
+ * added to the test as errors. If the function isn't done before it's
+ * timeout, an error is added, and the next function is called.
+ * 
+ * Parameters:
+ * - fn: A function to be called on cleanup. It isn't passed anything,
+ * so bound methods such as test.finish.bind(test) are safe to use.
+ * - timeout: An optional number of milliseconds to wait for the function
+ * to finish. The default is the timeout of the test. Zero means it will
+ * wait forever.
+ * */
+Test.prototype.cleanup = function(fn,timeout) {
+    this._addCleanup(fn,timeout,false);
+}
+
+/**
+ * Adds a cleanup function which is passed a callback, the same as 
+ * Test.prototype.cleanup otherwise. The function is done when it calls
+ * the callback, with an error if it failed, which is added to the test.
+ * This is what you want for functions like server.close.bind(server).
  * 
- * Cleanup functions are expected to be synchronous.
+ * This is separate, rather than cleanup checking fn.length, because a
+ * function with only optional parameters, such as test.finish, would
+ * look like it took a callback, and never call it.
  * 
  * Parameters:
- * - fn: A function to be called on cleanup.
+ * - fn: A function to be called on cleanup, with the callback.
+ * - timeout: An optional number of milliseconds to wait for the callback
+ * to be called, see Test.prototype.cleanup.
  * */
-Test.prototype.cleanup = function(fn) {
+Test.prototype.cleanupAsync = function(fn,timeout) {
+    this._addCleanup(fn,timeout,true);
+}
+
+Test.prototype._addCleanup = function(fn,timeout,callback) {
     if (typeof fn === "function") {
+        var item = {
+            fn: fn,
+            timeout: timeout,
+            callback: callback
+        };
         if (!this._cleanup) {
-            this._cleanup = [fn];
+            this._cleanup = [item];
         } else {
-            this._cleanup.push(fn);
+            this._cleanup.push(item);
         }
     }
 }
@@ -614,7 +2304,9 @@ Test.prototype.cleanup = function(fn) {
 Test.prototype.comment = function(data) {
     // wake up to avoid a timeout...
     this.ping();
-    this.contents.push(new Annotation("comment",data));
+    var annotation = new Annotation("comment",data);
+    this.contents.push(annotation);
+    this._emit("annotation",annotation);
 }
 
 /**
@@ -626,7 +2318,162 @@ Test.prototype.comment = function(data) {
 Test.prototype.error = function(data) {
     // wake up to avoid a timeout...
     this.ping();
-    this.contents.push(new Annotation("error",data));
+    var annotation = new Annotation("error",data);
+    annotation.location = ((data instanceof Error) && findLocation(data.stack)) || findLocation();
+    this.contents.push(annotation);
     this.errors += 1;
+    this._emit("annotation",annotation);
+}
+
+// The modules of this framework, see isFrameworkFile.
+var FRAMEWORK_FILES = ["index.js","library.js","capture.js","Clock.js","spy.js","snapshot.js","Runner.js","isolate.js","bin/stf"].map(function(name) {
+    return path.join(__dirname,name);
+});
+
+/**
+ * Returns true if the file is one of the modules of this framework, 
+ * which are passed over when looking for the code being tested in a 
+ * stack trace, see Test.location and ResultWriter.prototype.cleanStack.
+ * 
+ * Parameters:
+ * - file: The absolute path of the file.
+ * */
+var isFrameworkFile = module.exports.isFrameworkFile = function(file) {
+    return FRAMEWORK_FILES.indexOf(file) > -1;
+}
+
+/**
+ * Reads one line of a stack trace, such as "    at foo (/bar.js:1:2)".
+ * 
+ * Parameters:
+ * - line: The line of the stack trace.
+ * 
+ * Returns: An object with the 'file', 'line' and 'column', or null if
+ * the line isn't a frame with a file. File URLs are converted to paths,
+ * but node's own modules, such as "node:internal/timers", are left as
+ * they are, so they can be recognized by not being absolute.
+ * */
+var parseStackFrame = module.exports.parseStackFrame = function(line) {
+    var match = /^\s*at (?:.*\()?(.+?):(\d+):(\d+)\)?$/.exec(line);
+    if (!match) {
+        return null;
+    }
+    var file = match[1];
+    if (file.indexOf("file://") === 0) {
+        file = url.fileURLToPath(file);
+    }
+    return {
+        file: file,
+        line: Number(match[2]),
+        column: Number(match[3])
+    };
+}
+
+// Captures the stack where it's called, as the 'stack' property of the
+// object returned. V8 doesn't format the stack, which is the slow part,
+// until that's read, so the location can be found from it later, only
+// if it's needed. There are usually a few frames in this framework
+// before the caller, so the limit is raised for it.
+var captureTrace = function() {
+    var limit = Error.stackTraceLimit;
+    Error.stackTraceLimit = 50;
+    var trace = {};
+    Error.captureStackTrace(trace,captureTrace);
+    Error.stackTraceLimit = limit;
+    return trace;
+}
+
+// Finds the first place in a stack trace which is in the code being
+// tested, not in this framework or in node, and returns it's file, line
+// and column (see Minitest.location), or null if there isn't one. If no
+// stack is given, the current one is used, to find the caller.
+var findLocation = function(stack) {
+    if (typeof stack === "undefined") {
+        stack = captureTrace().stack;
+    }
+    if (typeof stack !== "string") {
+        return null;
+    }
+    var lines = stack.split("\n");
+    for (var i = 0; i < lines.length; i++) {
+        var frame = parseStackFrame(lines[i]);
+        if (frame && path.isAbsolute(frame.file) && !isFrameworkFile(frame.file)) {
+            return frame;
+        }
+    }
+    return null;
+}
+
+// Calls a function which may be asynchronous, with the arguments in
+// the args array. If takesCallback is true, it's also passed a callback
+// as the last one, which it calls when it's done, with an error if it
+// failed. Otherwise, if it returns a promise, it's
+// done when that settles. Then cb is called once, with the error or
+// null. If it's not done within the timeout, unless that's zero, cb is
+// called with an error saying so, using the label to describe it. If
+// the function is synchronous, this is all done synchronously.
+var callAsync = function(fn,args,takesCallback,timeout,label,cb) {
+    var called = false;
+    var timer = null;
+    var finish = function(err) {
+        if (!called) {
+            called = true;
+            if (timer) {
+                clearTimeout(timer);
+            }
+            cb(err);
+        }
+    }
+    var returned;
+    try {
+        returned = fn.apply(null,takesCallback ? args.concat([function(err) {
+            finish(err || null);
+        }]) : args);
+    } catch (e) {
+        finish(e);
+        return;
+    }
+    if (!takesCallback) {
+        if (returned && (typeof returned.then === "function")) {
+            returned.then(function() {
+                finish(null);
+            },function(err) {
+                finish(err || new Error(label + " rejected without a reason."));
+            });
+        } else {
+            finish(null);
+        }
+    }
+    if ((!called) && (timeout > 0)) {
+        timer = setTimeout(function() {
+            finish(label + " timed out after " + timeout + " milliseconds.");
+        },timeout);
+    }
 }
 
+// Calls each function in order with the arguments, using callAsync, 
+// waiting for each to finish before calling the next. Errors are passed
+// to onError, and if stopOnError is true, the rest of the functions 
+// are skipped. Then done is called, with true if there were any errors.
+var callInOrder = function(fns,args,timeout,label,stopOnError,onError,done) {
+    var i = 0;
+    var failed = false;
+    var next = function() {
+        if (i >= fns.length) {
+            done(failed);
+            return;
+        }
+        callAsync(fns[i++],args,false,timeout,label,function(err) {
+            if (err) {
+                failed = true;
+                onError(err);
+                if (stopOnError) {
+                    done(failed);
+                    return;
+                }
+            }
+            next();
+        });
+    }
+    next();
+}
@@ -0,0 +1,170 @@
+/**
+ * This module keeps the snapshots for Test.prototype.matchSnapshot. The
+ * snapshots for a test file are stored next to it, in a file with
+ * '.snap' added to the name, as a JSON object which maps the key for
+ * each snapshot to the serialized value. The keys are sorted, so the
+ * file only changes where the snapshots do.
+ *
+ * Snapshot files are read the first time they're needed, and written
+ * every time a snapshot is added or updated, so nothing is lost if the
+ * process exits before the tests are done. The keys used are remembered,
+ * so that the ones no test used can be found, see findObsolete.
+ * */
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+
+// Maps the path of each snapshot file that has been read to an object
+// with the 'entries' in it, and the keys which were 'used'.
+var files = {};
+
+// Returns the state of a snapshot file, reading it if needed.
+var load = function(file) {
+    if (!files.hasOwnProperty(file)) {
+        var entries = {};
+        if (fs.existsSync(file)) {
+            entries = JSON.parse(fs.readFileSync(file,"utf8"));
+        }
+        files[file] = {
+            entries: entries,
+            used: {}
+        };
+    }
+    return files[file];
+}
+
+var save = function(file) {
+    var entries = files[file].entries;
+    var sorted = {};
+    Object.keys(entries).sort().forEach(function(key) {
+        sorted[key] = entries[key];
+    });
+    fs.writeFileSync(file,JSON.stringify(sorted,null,2) + "\n");
+}
+
+/**
+ * Returns the path of the snapshot file for a test file.
+ *
+ * Parameters:
+ * - testFile: The path of the test file.
+ * */
+var fileFor = module.exports.fileFor = function(testFile) {
+    return testFile + ".snap";
+}
+
+/**
+ * Converts a value into the text stored in a snapshot. Strings are
+ * stored as they are, so that the differences in multi-line strings are
+ * easy to read. Anything else is inspected, with the properties of
+ * objects sorted, one to a line, and nothing left out, so the same
+ * value always gives the same text.
+ *
+ * Parameters:
+ * - value: The value to serialize.
+ * */
+var serialize = module.exports.serialize = function(value) {
+    if (typeof value === "string") {
+        return value;
+    }
+    return util.inspect(value,{
+        depth: Infinity,
+        sorted: true,
+        compact: false,
+        breakLength: Infinity,
+        maxArrayLength: Infinity,
+        maxStringLength: Infinity,
+        colors: false
+    });
+}
+
+/**
+ * Compares a value with a stored snapshot. If there isn't one with the
+ * key yet, or if update is true, the value is stored instead, and it
+ * matches.
+ *
+ * Parameters:
+ * - file: The path of the snapshot file.
+ * - key: The key of the snapshot in the file.
+ * - value: The value to compare.
+ * - update: True to replace the stored snapshot.
+ *
+ * Returns: An object with the properties 'passed', 'expected', the
+ * stored text, and 'actual', the serialized value.
+ * */
+var match = module.exports.match = function(file,key,value,update) {
+    var state = load(file);
+    var actual = serialize(value);
+    state.used[key] = true;
+    if (update || !state.entries.hasOwnProperty(key)) {
+        if (state.entries[key] !== actual) {
+            state.entries[key] = actual;
+            save(file);
+        }
+        return { passed: true, expected: actual, actual: actual };
+    }
+    var expected = state.entries[key];
+    return { passed: expected === actual, expected: expected, actual: actual };
+}
+
+/**
+ * Finds the snapshots in a file which haven't been used since it was
+ * read, or since forget was called for it.
+ *
+ * Parameters:
+ * - file: The path of the snapshot file.
+ * - prefix: Optional, only keys which start with this are looked at.
+ * - remove: If true, the snapshots which are found are removed from
+ * the file.
+ *
+ * Returns: An array of the keys found, sorted.
+ * */
+var findObsolete = module.exports.findObsolete = function(file,prefix,remove) {
+    var state = load(file);
+    var found = Object.keys(state.entries).filter(function(key) {
+        return !state.used[key] && (!prefix || (key.indexOf(prefix) === 0));
+    }).sort();
+    if (remove && (found.length > 0)) {
+        found.forEach(function(key) {
+            delete state.entries[key];
+        });
+        save(file);
+    }
+    return found;
+}
+
+/**
+ * Forgets what's known about a snapshot file, so that it's read again
+ * the next time it's needed, and none of it's snapshots count as used.
+ * This is done before a test file is run again, when watching.
+ *
+ * Parameters:
+ * - file: The path of the snapshot file.
+ * */
+var forget = module.exports.forget = function(file) {
+    delete files[file];
+}
+
+/**
+ * Describes the obsolete snapshots found by findObsolete, for a comment
+ * written after the results.
+ *
+ * Parameters:
+ * - found: An object which maps the path of each snapshot file to an
+ * array of the obsolete keys in it.
+ * - removed: True if they were removed from the files.
+ *
+ * Returns: The description, or null if there aren't any.
+ * */
+var describeObsolete = module.exports.describeObsolete = function(found,removed) {
+    var lines = [];
+    Object.keys(found).forEach(function(file) {
+        found[file].forEach(function(key) {
+            lines.push(util.format("%s -- %s",path.relative(process.cwd(),file),key));
+        });
+    });
+    if (lines.length === 0) {
+        return null;
+    }
+    return [removed ? "Removed obsolete snapshots, which no test used:" : "Obsolete snapshots, which no test used:"].concat(lines).join("\n");
+}
@@ -0,0 +1,112 @@
+/**
+ * This module creates spies and stubs, which replace a method on an
+ * object with a function that records how it was called. They're usually
+ * created with Test.prototype.spy and Test.prototype.stub, which put the
+ * original method back when the test is done.
+ * */
+
+var util = require('util');
+
+// Marks the functions created here, so that the assertion methods can
+// tell a spy from any other function.
+var IS_SPY = "__stfSpy";
+
+/**
+ * Replaces a method on an object with a spy, a function which records
+ * each call, and passes it on to the implementation. The spy has these
+ * properties:
+ * - calls: An array with an object for each call, with the properties
+ *   'args' (an array), 'thisValue', 'returned', 'threw' (true if it threw)
+ *   and 'error' (what it threw).
+ * - callCount: The number of calls.
+ * - called: True if it has been called at all.
+ * - original: The method which was replaced.
+ * - restore(): Puts the original method back. If the object only
+ *   inherited the method, the spy is just removed from it.
+ *
+ * If the object is a function, and no method is given, the function
+ * itself is spied on, which gives a spy that isn't put anywhere, and
+ * doesn't need restoring. If nothing at all is given, that function
+ * does nothing.
+ *
+ * Parameters:
+ * - obj: The object with the method.
+ * - method: The name of the method.
+ * - impl: The function to call with the arguments and 'this' of each
+ * call. It's return value is returned, and whatever it throws is thrown.
+ *
+ * Returns: The spy.
+ * */
+var create = module.exports.create = function(obj,method,impl) {
+    var target = null;
+    var ownMethod = false;
+    var original;
+    if ((typeof method === "undefined") && ((typeof obj === "function") || (typeof obj === "undefined"))) {
+        original = obj || function() {};
+    } else {
+        if ((obj === null) || ((typeof obj !== "object") && (typeof obj !== "function"))) {
+            throw new TypeError(util.format("Can't replace the method '%s' of %s, it's not an object.",method,obj));
+        }
+        original = obj[method];
+        if (typeof original !== "function") {
+            throw new TypeError(util.format("Can't replace '%s', it's %s, not a function.",method,util.inspect(original)));
+        }
+        target = obj;
+        ownMethod = Object.prototype.hasOwnProperty.call(obj,method);
+    }
+    impl = impl || original;
+
+    var spy = function() {
+        var call = {
+            args: Array.prototype.slice.call(arguments),
+            thisValue: this,
+            returned: void 0,
+            threw: false,
+            error: void 0
+        };
+        spy.calls.push(call);
+        spy.callCount = spy.calls.length;
+        spy.called = true;
+        try {
+            call.returned = impl.apply(this,arguments);
+        } catch (e) {
+            call.threw = true;
+            call.error = e;
+            throw e;
+        }
+        return call.returned;
+    }
+    spy.calls = [];
+    spy.callCount = 0;
+    spy.called = false;
+    spy.original = original;
+    spy[IS_SPY] = true;
+
+    var restored = false;
+    spy.restore = function() {
+        if (restored || !target) {
+            return;
+        }
+        restored = true;
+        if (ownMethod) {
+            target[method] = original;
+        } else {
+            delete target[method];
+        }
+    }
+
+    if (target) {
+        target[method] = spy;
+    }
+    return spy;
+}
+
+/**
+ * Returns true if the value is a spy made by create.
+ *
+ * Parameters:
+ * - value: The value to check.
+ * */
+var isSpy = module.exports.isSpy = function(value) {
+    return (typeof value === "function") && (value[IS_SPY] === true);
+}
@@ -7,6 +7,9 @@
 // by test. It makes finding syntax errors a lot easier.
 var library = require("./library");
 var ResultWriter = require("./ResultWriter");
+var TapWriter = require("./TapWriter");
+var JUnitWriter = require("./JUnitWriter");
+var StreamWriter = require("./StreamWriter");
 var test = require("./index");
 
 var mockOutput = { write: function() {} }
@@ -169,6 +172,35 @@ test("Test simple-test-framework",function(t) {
     });
 
     
+    t.test("Tests are stopped at their deadline, even if they're active.",function(t) {
+        var interval;
+        var subject = new library.Test("subject",1000,function(reason) {
+            clearInterval(interval);
+            t.check(reason === "deadline","A test which passes it's deadline finishes with the 'deadline' reason.");
+            var messages = this.contents.filter(function(item) {
+                return item instanceof library.Annotation;
+            });
+            t.check((messages.length === 1) && (messages[0].data === "Test was stopped at it's deadline, 50 milliseconds after it started."),"A test which passes it's deadline says so.");
+            t.check(this.passed > 0,"Activity doesn't delay the deadline.");
+        });
+        subject.setDeadline(50);
+        interval = setInterval(function() {
+            subject.check(true,"Still going");
+        },5);
+        
+        var written = "";
+        test("root",{ output: { write: function(data) { written += data; } }, deadline: 30 },function(root) {
+            root.test("subtest",{ deadline: 10 },function(subtest) {
+                // never finished.
+            });
+        });
+        setTimeout(function() {
+            t.check(written.indexOf("// ! Test was still running at it's deadline of 30 milliseconds.") > -1,"The root test function accepts a deadline, and ResultWriter explains it.");
+            t.check(written.indexOf("// ! Test was still running at it's deadline of 10 milliseconds.") > -1,"Subtests accept a deadline.");
+            t.finish();
+        },200);
+    });
+    
     t.test("Nested test should notify their parents when they're done.",function(t) {
         // Use the 'test' method with *no* output here.
         test("Level 1",{ writer: null },function(level1) {
@@ -219,6 +251,130 @@ test("Test simple-test-framework",function(t) {
         t.finish();
     });
     
+    t.test("Tests should wait for asynchronous cleanup functions.",function(t) {
+        var log = [];
+        var subject = new library.Test("subject",function(reason,passed) {
+            t.check(deepEqual(log,["callback","promise","failed callback","rejected","uncaught","timed out","no callback"]),"Cleanup functions are called in order, each waiting for the one before.");
+            t.check(!passed && (this.errors === 4),"Errors in cleanup functions are added to the test before it reports it's finished.");
+            var messages = this.contents.map(function(item) {
+                return (item.data instanceof Error) ? item.data.message : item.data;
+            });
+            t.check(deepEqual(messages,["Callback","Rejected","Uncaught","Cleanup function timed out after 20 milliseconds."]),"Errors from callbacks, rejections, uncaught exceptions and timeouts are all recorded.");
+            t.finish();
+        });
+        subject.cleanupAsync(function(done) {
+            setTimeout(function() {
+                log.push("callback");
+                done();
+            },10);
+        });
+        subject.cleanup(function() {
+            return new Promise(function(resolve) {
+                setTimeout(function() {
+                    log.push("promise");
+                    resolve();
+                },10);
+            });
+        });
+        subject.cleanupAsync(function(done) {
+            log.push("failed callback");
+            done(new Error("Callback"));
+        });
+        subject.cleanup(function() {
+            log.push("rejected");
+            return Promise.reject(new Error("Rejected"));
+        });
+        subject.cleanupAsync(function(done) {
+            log.push("uncaught");
+            setTimeout(function() {
+                setTimeout(done,10);
+                throw new Error("Uncaught");
+            },10);
+        });
+        subject.cleanupAsync(function(done) {
+            log.push("timed out");
+        },20);
+        subject.cleanup(function(reason) {
+            // only cleanupAsync passes a callback.
+            log.push(arguments.length === 0 ? "no callback" : "callback passed");
+        });
+        subject.finish();
+    });
+    
+    t.test("Hooks run around subtests.",function(t) {
+        var log = [];
+        var subject = new library.Test("subject",function(reason) {
+            var nested = log.filter(function(entry) {
+                return /child$/.test(entry);
+            });
+            t.check(deepEqual(nested,[
+                "outer before child","inner before child","child",
+                "outer before grandchild","inner before grandchild","child before grandchild","grandchild",
+                "child after grandchild","inner after grandchild","outer after grandchild",
+                "inner after child","outer after child"
+            ]),"Hooks are run outer to inner before, and inner to outer after, for nested subtests too.");
+            var broken = this.contents[1];
+            t.check((broken.finishReason === "bail") && (broken.errors === 2),"A beforeEach hook that throws bails the subtest with an error.");
+            t.check(log.indexOf("broken") === -1,"The body isn't run if a beforeEach hook fails.");
+            var failedAfter = this.contents[2];
+            t.check((failedAfter.finishReason === "bail") && (failedAfter.contents[0].data.message === "After"),"An afterEach hook that throws bails the subtest with an error.");
+            t.check(!this.isPassed() && (this.failed === 2) && (this.passed === 1),"Subtests whose hooks failed fail.");
+            t.finish();
+        });
+        subject.beforeEach(function(sub) {
+            return new Promise(function(resolve) {
+                setTimeout(function() {
+                    log.push("outer before " + sub.name);
+                    resolve();
+                },10);
+            });
+        });
+        subject.afterEach(function(sub) {
+            log.push("outer after " + sub.name);
+        });
+        subject.afterEach(function(sub) {
+            return Promise.resolve().then(function() {
+                log.push("inner after " + sub.name);
+            });
+        });
+        subject.test("child",function(child) {
+            log.push("child");
+            child.beforeEach(function(sub) {
+                log.push("child before " + sub.name);
+            });
+            child.afterEach(function(sub) {
+                log.push("child after " + sub.name);
+            });
+            child.test("grandchild",function(grandchild) {
+                log.push("grandchild");
+                grandchild.finish();
+            });
+            child.finish();
+        });
+        subject.test("broken",function(broken) {
+            log.push("broken");
+            broken.finish();
+        });
+        subject.test("failed after",function(failedAfter) {
+            failedAfter.finish();
+        });
+        // added after the subtests, but they haven't started yet.
+        subject.beforeEach(function(sub) {
+            if (sub.name === "broken") {
+                throw new Error("Before");
+            }
+            if (sub.name !== "failed after") {
+                log.push("inner before " + sub.name);
+            }
+        });
+        subject.afterEach(function(sub) {
+            if (sub.name === "failed after") {
+                throw new Error("After");
+            }
+        });
+        subject.finish();
+    });
+    
     t.test("Nested tests should not notify their parents until any pending tests are done.",function(t) {
         // Use the 'test' method with *no* output here.
         test("Level 1",{writer: null },function(level1) {
@@ -238,7 +394,7 @@ test("Test simple-test-framework",function(t) {
     });
     
     t.test("Tests should bail on exception",function(t) {
-        t.finishAfter(6);
+        t.finishAfter(10);
         var worked = false;
         var subject = new library.Test("subject",function(reason) {
             // 1
@@ -293,6 +449,38 @@ test("Test simple-test-framework",function(t) {
                 throwError();
             });
         });
+        subject = new library.Test("subject",function(reason) {
+            // 7
+            t.check(reason === "bail","Calling run with a function that calls an fs function which throws an error in the callback causes that test to 'bail'");
+        });
+        subject.run(function() {
+            require("fs").readFile(__filename,throwError);
+        });
+        
+        subject = new library.Test("subject",function(reason) {
+            // 8
+            t.check(reason === "bail","Calling run with a function that leaves a promise rejection unhandled causes that test to 'bail'");
+            // 9
+            t.check(this.contents[0].data.message === "Unhandled!","An unhandled rejection is added to the test as an error.");
+        });
+        subject.run(function() {
+            setTimeout(function() {
+                Promise.reject(new Error("Unhandled!"));
+            },100);
+        });
+        
+        var nested = new library.Test("parent",function(reason) {
+            // 10
+            t.check(!reason,"An error in a nested test does not bail it's parent.");
+        });
+        nested.run(function(parent) {
+            parent.test("child",function(child) {
+                setTimeout(throwError,100);
+            });
+            setTimeout(function() {
+                parent.finish();
+            },200);
+        });
         // FUTURE: It would be nice to verify that exceptions outside of
         // the body do not cause the test to fail, but I don't see
         // how I can test that without breaking the main test (because
@@ -300,6 +488,74 @@ test("Test simple-test-framework",function(t) {
                 
     });
     
+    t.test("Tests should finish when a returned promise is settled",function(t) {
+        t.finishAfter(4);
+        var subject = new library.Test("subject",function(reason) {
+            // 1
+            t.check(!reason && this.isPassed(),"Calling run with a function that returns a resolved promise finishes the test normally.");
+        });
+        subject.run(function(s) {
+            return new Promise(function(resolve) {
+                setTimeout(function() {
+                    s.check(true,"Later");
+                    resolve();
+                },100);
+            });
+        });
+        
+        subject = new library.Test("subject",function(reason) {
+            // 2
+            t.check(reason === "bail","Calling run with a function that returns a rejected promise causes that test to 'bail'");
+            // 3
+            t.check((this.contents[0] instanceof library.Annotation) &&
+                    (this.contents[0].data.message === "Rejected!"),"Calling run with a function that returns a rejected promise adds the reason as an error.");
+        });
+        subject.run(function() {
+            return Promise.reject(new Error("Rejected!"));
+        });
+        
+        var planned = new library.Test("planned",function(reason) {
+            // 4
+            t.check(planned.total === 2,"Tests with a plan are not finished when a returned promise resolves.");
+        });
+        planned.finishAfter(2);
+        planned.run(function(s) {
+            s.check(true,"Before");
+            setTimeout(function() {
+                s.check(true,"After");
+            },100);
+            return Promise.resolve();
+        });
+    });
+    
+    t.test("The resolves and rejects functions work.",function(t) {
+        var subject = new library.Test("subject");
+        Promise.all([
+            subject.resolves(Promise.resolve(1),"Resolved"),
+            subject.resolves(Promise.reject(new Error("Oops!")),"Rejected"),
+            subject.rejects(function() { return Promise.reject(new Error("Expected")); },"Rejects"),
+            subject.rejects(Promise.resolve(),"Resolves"),
+            subject.rejects(function() { throw new Error("Thrown"); },"Throws")
+        ]).then(function(results) {
+            t.check(deepEqual(results,[true,false,true,false,true]),"resolves and rejects return promises for whether the Minitest passed.");
+            var names = subject.contents.filter(function(item) {
+                return item instanceof library.Minitest;
+            }).map(function(item) {
+                return item.name + ":" + item.passed;
+            }).sort();
+            t.check(deepEqual(names,["Rejected:false","Rejects:true","Resolved:true","Resolves:false","Throws:true"]),"resolves and rejects add Minitests when the promises settle.");
+            t.check((subject.errors === 1) && subject.contents.some(function(item) {
+                return (item instanceof library.Annotation) && (item.data.message === "Oops!");
+            }),"resolves adds the reason for a rejection as an error.");
+            subject.finish();
+            return subject.resolves(Promise.resolve(),"Too late");
+        }).then(function(result) {
+            t.check(typeof result === "undefined","resolves returns undefined after the test is finished.");
+            t.check(subject.errors === 2,"resolves adds an error after the test is finished.");
+            t.finish();
+        });
+    });
+    
     // This one is just something I wanted to make sure works,
     // because I ran across this while trying to figure out domains.
     // http://stackoverflow.com/questions/19461234/domains-not-properly-catching-errors-while-testing-nodejs-in-mocha
@@ -321,6 +577,28 @@ test("Test simple-test-framework",function(t) {
         });
     });
     
+    t.test("Tests should bail on exceptions outside of domains used by the code being tested.",function(t) {
+        t.finishAfter(2);
+        var subject = new library.Test("subject",function(reason) {
+            t.check(reason === "bail","An error thrown outside of a domain in the test body still causes the test to bail.");
+        });
+        subject.run(function() {
+            var domain = require("domain");
+            var d = domain.create();
+            d.on("error",function(err) {
+                t.check(err.message === "Inside","An error thrown inside a domain in the test body is handled by the domain.");
+                setTimeout(function() {
+                    throw new Error("Outside");
+                },10);
+            });
+            d.run(function() {
+                setTimeout(function() {
+                    throw new Error("Inside");
+                },10);
+            });
+        });
+    });
+    
     t.test("The test function works",function(t) {
         var subject = new library.Test("subject");
         var subtest = subject.test("subtest");
@@ -421,6 +699,33 @@ test("Test simple-test-framework",function(t) {
         t.finish();
     });
     
+    t.test("The assertion functions work.",function(t) {
+        var subject = new library.Test("subject");
+        subject.finishAfter(15);
+        t.check(subject.equal(1,"1","equal") === true,"equal passes for loosely equal values.");
+        t.check(subject.equal(1,2,"not equal") === false,"equal fails for unequal values.");
+        var expectedError = new library.Annotation("error",{ expected: 2, actual: 1, operator: "==" });
+        expectedError.location = subject.contents[1].location;
+        t.check(deepEqual(subject.contents[2],expectedError),"A failed assertion adds an error with the expected and actual values, and the operator.");
+        t.check(subject.notEqual(1,2,"notEqual") === true,"notEqual passes for unequal values.");
+        t.check(subject.notEqual(1,"1","notEqual fails") === false,"notEqual fails for loosely equal values.");
+        t.check(subject.strictEqual(1,1,"strictEqual") === true,"strictEqual passes for identical values.");
+        t.check(subject.strictEqual(1,"1","strictEqual fails") === false,"strictEqual fails for loosely equal values.");
+        t.check(subject.deepEqual({ a: [1,2] },{ a: [1,2] },"deepEqual") === true,"deepEqual passes for equivalent objects.");
+        t.check(subject.deepEqual({ a: [1,2] },{ a: [1,3] },"deepEqual fails") === false,"deepEqual fails for different objects.");
+        t.check(subject.match("foobar",/bar$/,"match") === true,"match passes for matching strings.");
+        t.check(subject.match(12,/12/,"match fails") === false,"match fails for values which aren't strings.");
+        t.check((subject.match("foobar","bar","match without a RegExp") === false) && (subject.contents[subject.contents.length - 1].data.operator === "match"),"match fails, instead of throwing, if it isn't given a RegExp.");
+        t.check(subject.throws(function() { throw new TypeError("Oops!"); },TypeError,"throws") === true,"throws passes for functions that throw an expected error.");
+        t.check(subject.throws(function() { throw new Error("Oops!"); },/Yikes/,"throws fails") === false,"throws fails for functions that throw an unexpected error.");
+        t.check(subject.throws(function() {},"throws nothing") === false,"throws fails for functions that don't throw.");
+        t.check((subject.throws(undefined,"throws without a function") === false) && (subject.contents[subject.contents.length - 1].data.operator === "throws"),"throws fails, instead of passing, if it isn't given a function.");
+        t.check((subject.passed === 6) && (subject.failed === 9) && (subject.errors === 9),"Assertions count as Minitests, adding errors when they fail.");
+        t.check(subject.finished,"Assertions count towards finishAfter.");
+        t.check(typeof subject.equal(1,1,"Too late") === "undefined","Assertions return undefined after the test is finished.");
+        t.finish();
+    });
+    
     t.test("The finish function works.",function(t) {
         var subject = new library.Test("subject");
         subject.finish("Bwahaha!");
@@ -442,6 +747,760 @@ test("Test simple-test-framework",function(t) {
         t.finish();
     });
     
+    t.test("Skip and todo features work.",function(t) {
+        var ran = false;
+        var subject = new library.Test("subject");
+        subject.finishAfter(4);
+        subject.check(true,"Passed");
+        subject.skip("Skipped","No network");
+        t.check((subject.contents[1] instanceof library.Minitest) &&
+                (subject.contents[1].directive === "skip") &&
+                (subject.contents[1].directiveReason === "No network"),"Calling skip adds a skipped Minitest with the reason.");
+        subject.todo("Not written");
+        t.check((subject.contents[2] instanceof library.Minitest) &&
+                (subject.contents[2].directive === "todo"),"Calling todo adds a todo Minitest.");
+        var skippedTest = subject.test("Skipped test",{ skip: "Later" },function() {
+            ran = true;
+        });
+        t.check((skippedTest instanceof library.Test) &&
+                (skippedTest.directive === "skip") &&
+                (skippedTest.directiveReason === "Later") &&
+                skippedTest.finished,"Calling test with the skip option adds a finished, skipped test.");
+        t.check(subject.pending === 0,"Skipped tests are not pending.");
+        t.check((subject.skipped === 2) && (subject.todos === 1) && (subject.passed === 1) && (subject.failed === 0),"Skipped and todo subtests are counted separately from passed and failed.");
+        t.check(subject.finished,"Skipped and todo subtests count towards finishAfter.");
+        t.check(subject.isPassed(),"Skipped and todo subtests don't fail the test.");
+        var output = "";
+        new ResultWriter({ write: function(data) { output += data; } }).writeTest(subject);
+        t.check(output.indexOf("passed -- 1/4 (2 skipped, 1 todo): subject") > -1,"ResultWriter lists skipped and todo subtests separately.");
+        output = "";
+        new TapWriter({ write: function(data) { output += data; } }).writeTest(subject);
+        t.check((output.indexOf("    ok 2 - Skipped # SKIP No network\n") > -1) &&
+                (output.indexOf("    not ok 3 - Not written # TODO\n") > -1) &&
+                (output.indexOf("    ok 4 - Skipped test # SKIP Later\n") > -1),"TapWriter writes skipped and todo subtests with directives.");
+        output = "";
+        new JUnitWriter({ write: function(data) { output += data; } }).writeTest(subject);
+        t.check((output.indexOf('<skipped message="skip: No network"/>') > -1) &&
+                (output.indexOf('<skipped message="todo"/>') > -1) &&
+                (output.indexOf('skipped="3"') > -1),"JUnitWriter writes skipped and todo subtests as skipped.");
+        setTimeout(function() {
+            t.check(!ran,"The body of a skipped test is not run.");
+            t.finish();
+        },10);
+    });
+    
+    t.test("Name filters work.",function(t) {
+        var filter = library.Test.parseFilter("Root > /^b/i > x");
+        t.check((filter.length === 3) && (filter[0] === "Root") && (filter[1] instanceof RegExp) && (filter[2] === "x"),"parseFilter splits a string into levels, converting regular expressions.");
+        t.check(library.Test.parseFilter("") === null,"parseFilter returns null for an empty filter.");
+        t.check(deepEqual(library.Test.parseFilter(["a",/b/]),["a",/b/]),"parseFilter accepts an array of levels.");
+        
+        var ran = [];
+        test("Other",{ writer: null, filter: "Root" },function() {
+            ran.push("Other");
+        });
+        test("Root",{ writer: null, filter: "Root > /^b/i > x" },function(root) {
+            root.test("a",function(t) {
+                ran.push("a");
+                t.finish();
+            });
+            var filtered = root.test("c");
+            t.check(filtered.finished && (filtered.directive === "filter"),"Subtests that don't match the filter are finished and marked as filtered.");
+            root.test("B1",function(b) {
+                b.test("x",function(t) {
+                    ran.push("x");
+                    t.finish();
+                });
+                b.test("y",function(t) {
+                    ran.push("y");
+                    t.finish();
+                });
+                b.finish();
+            });
+            root.finishAfter(3);
+        });
+        // wait for the tests, which finish quickly, to be done.
+        setTimeout(function() {
+            t.check(deepEqual(ran,["x"]),"Only the bodies of tests matching the filter are run.");
+            t.finish();
+        },100);
+    });
+    
+    t.test("Name filters on the whole path work.",function(t) {
+        var filter = library.Test.parseFilter("/login/i");
+        t.check((filter.length === 1) && (filter[0].pattern instanceof RegExp) && deepEqual(filter[0].names,[]),"parseFilter makes a single regular expression a filter on the whole path.");
+        t.check(deepEqual(library.Test.parseFilter(/login/),[{ pattern: /login/, names: [] }]),"parseFilter makes a RegExp a filter on the whole path.");
+        
+        var ran = [];
+        var results = {};
+        var steps = [function(next) {
+            test("Suite",{ writer: null, filter: "/login/" },function(suite) {
+                suite.on("cleanup",function() {
+                    results.suite = suite;
+                    next();
+                });
+                suite.check(true,"setup");
+                suite.test("login works",function(sub) {
+                    ran.push("login works");
+                    sub.test("nested",function(nested) {
+                        ran.push("nested");
+                        nested.finish();
+                    });
+                    sub.finish();
+                });
+                suite.test("logout works",function(sub) {
+                    ran.push("logout works");
+                    sub.test("login again",function(nested) {
+                        ran.push("login again");
+                        nested.finish();
+                    });
+                    sub.test("other",function(nested) {
+                        ran.push("other");
+                        nested.finish();
+                    });
+                    sub.finish();
+                });
+                suite.test("other",function(sub) {
+                    ran.push("other");
+                    sub.finish();
+                });
+                suite.finish();
+            });
+        },function(next) {
+            var output = "";
+            test("Unrelated",{ output: { write: function(data) { output += data; } }, filter: /login/ },function(root) {
+                root.on("cleanup",function() {
+                    results.unrelated = root;
+                    // the results are written after this.
+                    setImmediate(function() {
+                        results.output = output;
+                        next();
+                    });
+                });
+                root.test("sub",function(sub) {
+                    sub.finish();
+                });
+                root.finish();
+            });
+        }];
+        var next = function() {
+            var step = steps.shift();
+            if (step) {
+                step(next);
+                return;
+            }
+            var suite = results.suite;
+            t.check(deepEqual(ran.sort(),["login again","login works","logout works","nested","other","other"]),"Tests which don't match are run, to look for subtests which do, and everything in a matching test is run.");
+            t.check((suite.directive === null) && suite.isPassed() && (suite.passed === 3) && (suite.skipped === 1),"Tests with subtests which match are kept, and the ones without any are filtered.");
+            t.check((suite.contents[1].directive === null) && (suite.contents[2].directive === null) && (suite.contents[3].directive === "filter"),"Subtests are matched against the whole path, at any depth.");
+            t.check((suite.contents[2].contents[0].directive === null) && (suite.contents[2].contents[1].directive === "filter"),"Subtests of a test which didn't match are filtered in turn.");
+            t.check(results.unrelated.directive === "filter","A root test with nothing matching the filter is marked as filtered.");
+            t.check((results.output.indexOf("filtered -- Unrelated") > -1) && (results.output.indexOf("Nothing in 'Unrelated' matched the filter.") > -1) && (results.output.indexOf("Everything's good!") === -1),"The main test function warns when nothing in a root test matched the filter.");
+            t.finish();
+        }
+        next();
+    });
+    
+    t.test("The only function works.",function(t) {
+        var ran = [];
+        var subject = new library.Test("subject",function(reason) {
+            t.check(deepEqual(ran.sort(),["b","d"]),"Only the bodies of subtests created with only are run.");
+            t.check(!reason && this.isPassed(),"Subtests filtered out by only don't fail the test.");
+            t.check((this.passed === 2) && (this.skipped === 2),"Subtests filtered out by only are counted as skipped.");
+            t.check((this.contents[0].directive === "filter") && (this.contents[1].directive === null),"Subtests filtered out by only are marked as filtered.");
+            t.finish();
+        });
+        subject.finishAfter(4);
+        ["a","b","c","d"].forEach(function(name) {
+            subject[((name === "b") || (name === "d")) ? "only" : "test"](name,function(s) {
+                ran.push(name);
+                s.finish();
+            });
+        });
+    });
+    
+    t.test("Tests emit events as things happen.",function(t) {
+        var events = [];
+        var subject = new library.Test("subject",0,function() {
+            events.push("reported");
+        });
+        var record = function(name) {
+            return function(item) {
+                events.push(name + ((item && (typeof item.name !== "undefined")) ? " " + item.name : ""));
+            }
+        };
+        ["subtest","minitest","finish","cleanup"].forEach(function(name) {
+            subject.on(name,record(name));
+        });
+        var annotation = function(item) {
+            events.push("annotation " + item.kind);
+        }
+        subject.on("annotation",annotation);
+        subject.test("child").finish();
+        subject.test("skipped",{ skip: true });
+        subject.check(true,"check");
+        subject.todo("todo");
+        subject.comment("comment");
+        subject.off("annotation",annotation);
+        subject.error("error");
+        subject.cleanup(function() {
+            events.push("cleaning up");
+        });
+        subject.finish();
+        t.check(deepEqual(events,[
+            "subtest child","subtest skipped","minitest check","minitest todo","annotation comment",
+            "finish","cleaning up","cleanup","reported"
+        ]),"Tests emit events for subtests, Minitests, annotations, finishing and cleaning up, in order.");
+        
+        var listened = new library.Test("listened",0);
+        listened.on("minitest",function() {
+            throw new Error("Broken listener");
+        });
+        var error = console.error;
+        console.error = function() {};
+        try {
+            t.check((listened.check(true,"check") === true) && (listened.passed === 1),"A listener that throws doesn't break the test.");
+        } finally {
+            console.error = error;
+        }
+        listened.finish();
+        t.finish();
+    });
+    
+    t.test("StreamWriter writes when queued subtests start.",function(t) {
+        var written = "";
+        var writer = new StreamWriter({ write: function(data) { written += data; } });
+        var subject = new library.Test("subject",0,function() {
+            t.check(deepEqual(written.replace(/ \(at test\.js:\d+\)/g,"").split("\n"),[
+                "started -- subject",
+                "  started -- a",
+                "    passed: in a",
+                "  passed -- 1/1: a",
+                "  started -- b",
+                "    passed: in b",
+                "  passed -- 1/1: b",
+                "passed -- 2/2: subject",
+                ""
+            ]),"StreamWriter writes that a queued subtest started when it leaves the queue.");
+            t.finish();
+        });
+        subject.concurrency = 1;
+        writer.streamTest(subject);
+        ["a","b"].forEach(function(name) {
+            subject.test(name,function(sub) {
+                sub.check(true,"in " + name);
+                setImmediate(function() {
+                    sub.finish();
+                });
+            });
+        });
+        t.check(subject.contents[1].queued,"Subtests waiting for their turn are queued.");
+        subject.finish();
+    });
+    
+    t.test("StreamWriter works.",function(t) {
+        var written = "";
+        var writer = new StreamWriter({ write: function(data) { written += data; } });
+        var subject = new library.Test("subject",0,function() {
+            writer.writeTest(subject);
+            // the locations are tested elsewhere.
+            var lines = written.replace(/ \(at test\.js:\d+\)/g,"").split("\n");
+            t.check(deepEqual(lines.slice(0,10),[
+                "started -- subject",
+                "  passed: first",
+                "  started -- child",
+                "    // child comment",
+                "  skipped -- skipped",
+                "  failed: second",
+                "    passed: third",
+                "  passed -- 1/1: child",
+                "failed -- 2/4 (1 skipped): subject",
+                "// Failures:"
+            ]),"StreamWriter writes results as they happen.");
+            t.check((lines[10] === "failed -- 2/4 (1 skipped): subject") && (lines.indexOf("  failed: second",10) > -1),"StreamWriter writes the failures at the end.");
+            t.check(lines.indexOf("    passed: third",10) === -1,"StreamWriter only writes the details of the failures at the end.");
+            t.finish();
+        });
+        writer.streamTest(subject);
+        subject.check(true,"first");
+        var child = subject.test("child");
+        child.comment("child comment");
+        subject.test("skipped",{ skip: true });
+        subject.check(false,"second");
+        child.check(true,"third");
+        child.finish();
+        subject.finish();
+    });
+    
+    t.test("Subtests can be run one at a time.",function(t) {
+        var log = [];
+        var running = 0;
+        var most = 0;
+        var subject = new library.Test("subject",function(reason) {
+            t.check(this.isPassed(),"Serial subtests pass.");
+            t.check(most === 1,"Only one subtest runs at a time when concurrency is 1.");
+            t.check(deepEqual(log,["start a","end a","start b","end b","start c","end c"]),"Subtests are run in the order they were created.");
+            t.finish();
+        });
+        subject.concurrency = 1;
+        ["a","b","c"].forEach(function(name) {
+            subject.test(name,1000,function(sub) {
+                running += 1;
+                most = Math.max(most,running);
+                log.push("start " + name);
+                // finishing later gives the others a chance to start, if
+                // they weren't waiting.
+                setImmediate(function() {
+                    log.push("end " + name);
+                    running -= 1;
+                    sub.finish();
+                });
+            });
+        });
+        t.check((subject.total === 3) && (subject.pending === 3),"Queued subtests count towards the total.");
+        t.check(subject.contents[1]._timer === null,"Queued subtests don't have a timer running.");
+        subject.finishAfter(3);
+    });
+    
+    t.test("The serial function works.",function(t) {
+        var log = [];
+        // the subtests are finished in this order, each one once it's 
+        // running, rather than after a delay, so the order they start in
+        // only depends on the queue.
+        var order = ["b","a","c","e","f","d"];
+        var finishers = {};
+        var advance = function() {
+            if ((order.length > 0) && finishers[order[0]]) {
+                finishers[order.shift()]();
+                setImmediate(advance);
+            }
+        }
+        test("subject",{ writer: null, concurrency: 2 },function(subject) {
+            var make = function(name) {
+                return function(sub) {
+                    log.push("start " + name);
+                    finishers[name] = function() {
+                        log.push("end " + name);
+                        sub.finish();
+                    }
+                    setImmediate(advance);
+                }
+            };
+            subject.test("a",make("a"));
+            subject.test("b",make("b"));
+            subject.serial("c",make("c"));
+            subject.test("d",make("d"));
+            subject.test("e",make("e"));
+            subject.test("f",make("f"));
+            subject.finish();
+            subject.cleanup(function() {
+                t.check(deepEqual(log,[
+                    "start a","start b","end b","end a",
+                    "start c","end c",
+                    "start d","start e","end e","start f","end f","end d"
+                ]),"Serial subtests wait for the others, and the others wait for them, and concurrency is a limit.");
+                t.finish();
+            });
+        });
+    });
+    
+    t.test("Flaky tests can be retried.",function(t) {
+        var runs = { flaky: 0, throws: 0, stalls: 0, fails: 0 };
+        var subject = new library.Test("subject",0,function() {
+            var flaky = this.contents[0];
+            var fails = this.contents[3];
+            t.check((this.passed === 3) && (this.failed === 1) && (this.total === 4),"Only the last attempt at a retried subtest is counted.");
+            t.check((runs.flaky === 3) && (flaky.isPassed()) && (flaky.attempts.length === 2) && !flaky.attempts[0].isPassed(),"Subtests which fail are run again in a new Test, keeping the old attempts.");
+            t.check((runs.throws === 2) && (this.contents[1].attempts[0].finishReason === "bail"),"Subtests which bail are retried.");
+            t.check((runs.stalls === 2) && (this.contents[2].attempts[0].finishReason === "timeout"),"Subtests which time out are retried.");
+            t.check((runs.fails === 2) && (fails.attempts.length === 1) && !fails.isPassed(),"Subtests are only retried as many times as asked.");
+            
+            var written = "";
+            new ResultWriter({ write: function(data) { written += data; } }).writeTest(this);
+            t.check(written.indexOf("passed -- 1/1: flaky (passed after 2 retries)") > -1,"ResultWriter marks tests which passed after retries.");
+            t.check(/failed -- 0\/1: fails \(at test\.js:\d+\) \(failed after 1 retry\)/.test(written),"ResultWriter marks tests which failed after retries.");
+            var copy = library.Test.fromJSON(JSON.parse(JSON.stringify(this)));
+            t.check((copy.contents[0].attempts.length === 2) && (copy.contents[0].attempts[1] instanceof library.Test),"Attempts are saved to JSON.");
+            
+            var writer = {
+                writeTest: function(result) {
+                    t.check(result.isPassed() && (result.attempts.length === 1),"Root tests can be retried.");
+                    t.finish();
+                },
+                writeComment: function() {},
+                showProgress: function() {},
+                endProgress: function() {}
+            };
+            var rootRuns = 0;
+            test("root",{ writer: writer, retries: 2 },function(root) {
+                rootRuns += 1;
+                root.check(rootRuns > 1,"passes the second time");
+                root.finish();
+            });
+        });
+        subject.test("flaky",{ retries: 2 },function(sub) {
+            runs.flaky += 1;
+            sub.check(runs.flaky === 3,"passes the third time");
+            sub.finish();
+        });
+        subject.test("throws",{ retries: 2 },function(sub) {
+            runs.throws += 1;
+            if (runs.throws === 1) {
+                throw new Error("Oops!");
+            }
+            sub.finish();
+        });
+        subject.test("stalls",{ timeout: 20, retries: 1 },function(sub) {
+            runs.stalls += 1;
+            if (runs.stalls === 2) {
+                sub.finish();
+            }
+        });
+        subject.test("fails",{ retries: 1 },function(sub) {
+            runs.fails += 1;
+            sub.check(false,"never passes");
+            sub.finish();
+        });
+        subject.finish();
+    });
+    
+    t.test("Retries keep their place in the queue.",function(t) {
+        var log = [];
+        var subject = new library.Test("subject",0,function() {
+            t.check(this.isPassed() && deepEqual(log,["flaky#0","flaky#1","b"]),"A retry runs before the subtests queued after it, with concurrency 1.");
+            var serial = new library.Test("serial",0,function() {
+                t.check(this.isPassed() && deepEqual(log,["flaky#0","flaky#1","b","serial#0","serial#1","c"]),"A retry of a serial subtest runs before the subtests queued after it.");
+                t.finish();
+            });
+            var serialRuns = 0;
+            serial.serial("flaky",{ retries: 1 },function(sub) {
+                log.push("serial#" + serialRuns);
+                serialRuns += 1;
+                sub.check(serialRuns > 1,"passes the second time");
+                sub.finish();
+            });
+            serial.test("c",function(sub) {
+                log.push("c");
+                sub.finish();
+            });
+            serial.finish();
+        });
+        subject.concurrency = 1;
+        var runs = 0;
+        subject.test("flaky",{ retries: 1 },function(sub) {
+            log.push("flaky#" + runs);
+            runs += 1;
+            sub.check(runs > 1,"passes the second time");
+            sub.finish();
+        });
+        subject.test("b",function(sub) {
+            log.push("b");
+            sub.finish();
+        });
+        subject.finish();
+    });
+    
+    t.test("Fake clocks work.",function(t) {
+        var realSetTimeout = global.setTimeout;
+        var realDate = global.Date;
+        var subject = new library.Test("subject",0,function() {
+            var stalled = this.contents[1];
+            t.check((stalled.finishReason === "timeout") && 
+                    (stalled.contents[0].data.indexOf("The fake clock had been moved ahead 10 milliseconds, and 1 timer was waiting on it.") > -1),"Tests still time out with a fake clock, and say what the clock was doing.");
+            t.check((global.setTimeout === realSetTimeout) && (global.Date === realDate),"Installing two clocks in a test still leaves the real timers and Date when it's done.");
+            t.finish();
+        });
+        subject.test("clock",function(sub) {
+            var clock = sub.clock(1000);
+            var order = [];
+            setTimeout(function(value) { order.push(value + Date.now()); },20,"b");
+            setTimeout(function() { order.push("a" + Date.now()); },10);
+            var cleared = setTimeout(function() { order.push("cleared"); },5);
+            clearTimeout(cleared);
+            var count = 0;
+            var interval = setInterval(function() {
+                count += 1;
+                if (count === 3) {
+                    clearInterval(interval);
+                }
+            },4);
+            sub.check((clock.countTimers() === 3) && (order.length === 0),"Timers wait for the clock.");
+            clock.tick(15);
+            sub.check((order.join() === "a1010") && (count === 3) && (Date.now() === 1015),"Ticking runs the timers which come due, in order, at their own time.");
+            clock.runAll();
+            sub.check((order.join() === "a1010,b1020") && (clock.elapsed === 20) && (clock.countTimers() === 0),"Running all runs the rest of the timers.");
+            sub.check((new Date().getTime() === 1020) && (new Date() instanceof Date) && (new Date(5).getTime() === 5),"Date uses the fake time, and still works as usual.");
+            // the other tests are running at the same time, so don't leave it installed.
+            clock.uninstall();
+            sub.check((global.setTimeout === realSetTimeout) && (global.Date === realDate),"Uninstalling puts back the real timers and Date.");
+            sub.finish();
+        });
+        subject.test("stalled",{ timeout: 30 },function(sub) {
+            var clock = sub.clock();
+            setTimeout(function() {
+                sub.finish();
+            },100);
+            clock.tick(10);
+            clock.uninstall();
+        });
+        subject.test("twice",function(sub) {
+            sub.clock();
+            sub.clock();
+            sub.finish();
+        });
+        subject.finish();
+    });
+    
+    t.test("Spies and stubs work.",function(t) {
+        var Thing = function() {};
+        Thing.prototype.inherited = function() { return "inherited"; };
+        var thing = new Thing();
+        thing.add = function(a,b) { return a + b; };
+        var add = thing.add;
+        var stacked = { add: add };
+        var subject = new library.Test("subject",0,function() {
+            t.check((thing.add === add) && !thing.hasOwnProperty("inherited") && (thing.inherited() === "inherited"),"Spies and stubs are restored when the test is done.");
+            t.check(this.contents[1].finishReason === "bail","The bailing test bailed.");
+            t.check(thing.hasOwnProperty("bails") === false,"Spies are restored even if the test bails.");
+            t.check(stacked.add === add,"Spies and stubs of the same method are restored in reverse order, leaving the original.");
+            var assertions = this.contents[0].contents.filter(function(item) {
+                return item instanceof library.Minitest;
+            });
+            var failure = this.contents[0].contents.filter(function(item) {
+                return (item instanceof library.Annotation) && item.data && (item.data.operator === "calledWith");
+            })[0];
+            t.check(deepEqual(assertions.map(function(item) { return item.passed; }),[true,true,true,true,false,true,false]),"The call assertions pass and fail correctly.");
+            t.check(failure && deepEqual(failure.data.expected,[3]) && deepEqual(failure.data.actual,[[5,5],[1,2]]),"A failed calledWith shows the arguments of every call.");
+            t.finish();
+        });
+        subject.test("spies",function(sub) {
+            var spied = sub.spy(thing,"add");
+            var stubbed = sub.stub(thing,"inherited",function() { return "stubbed"; });
+            var quiet = sub.stub(thing,"add");
+            t.check((thing.add(1,2) === undefined) && (quiet.callCount === 1),"A stub without an implementation does nothing.");
+            quiet.restore();
+            t.check(thing.add === spied,"Restoring a stub puts back what it replaced.");
+            t.check(thing.add(5,5) === 10,"A spy calls the original method.");
+            t.check((spied.callCount === 1) && deepEqual(spied.calls[0].args,[5,5]) && (spied.calls[0].returned === 10) && (spied.calls[0].thisValue === thing),"A spy records the arguments, return value and this of each call.");
+            t.check((thing.inherited() === "stubbed") && stubbed.called,"A stub calls it's implementation instead.");
+            var thrower = sub.spy(function() { throw new Error("Oops!"); });
+            t.check(function() {
+                try {
+                    thrower();
+                } catch (e) {
+                    return (thrower.calls[0].threw === true) && (thrower.calls[0].error === e);
+                }
+            }(),"A spy records what was thrown, and throws it again.");
+            t.check(function() {
+                try {
+                    sub.spy(thing,"missing");
+                } catch (e) {
+                    return e instanceof TypeError;
+                }
+            }(),"Spying on something that isn't a function throws a TypeError.");
+            sub.called(spied,"called");
+            sub.calledTimes(stubbed,1,"called once");
+            sub.calledWith(spied,[5,5],"called with 5 and 5");
+            sub.called(thrower,"thrower was called");
+            sub.called(sub.spy(),"never called");
+            spied(1,2);
+            sub.calledTimes(spied,2,"called twice");
+            sub.calledWith(spied,[3],"called with 3");
+            sub.finish();
+        });
+        subject.test("bails",function(sub) {
+            Thing.prototype.bails = function() {};
+            sub.spy(thing,"bails");
+            throw new Error("Oops!");
+        });
+        subject.test("stacked",function(sub) {
+            sub.spy(stacked,"add");
+            sub.stub(stacked,"add");
+            sub.finish();
+        });
+        subject.finish();
+    });
+    
+    t.test("Snapshots work.",function(t) {
+        var fs = require("fs");
+        var os = require("os");
+        var path = require("path");
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(),"stf-snapshot-"));
+        t.cleanup(function() {
+            fs.rmSync(dir,{ recursive: true, force: true });
+        });
+        var testFile = path.join(dir,"file.js");
+        var snapFile = testFile + ".snap";
+        var snapshot = require("./snapshot");
+        // the snapshots go next to the file the root test was created in.
+        var run = function(value,update,cb) {
+            snapshot.forget(snapFile);
+            var subject = new library.Test("root",0,function() {
+                cb(this.contents[0]);
+            });
+            subject.location = { file: testFile, line: 1, column: 1 };
+            subject.updateSnapshots = !!update;
+            subject.test("sub",function(sub) {
+                sub.matchSnapshot(value,"value");
+                sub.matchSnapshot("second","value");
+                sub.finish();
+            });
+            subject.finish();
+        }
+        
+        t.check(snapshot.serialize({ b: [1,"two"], a: undefined }) === snapshot.serialize({ a: undefined, b: [1,"two"] }),"Values are serialized the same whatever order their properties are in.");
+        t.check(snapshot.serialize("one\ntwo") === "one\ntwo","Strings are stored as they are.");
+        
+        var stored;
+        var steps = [function(next) {
+            run({ lines: ["a","b"] },false,function(result) {
+                stored = JSON.parse(fs.readFileSync(snapFile,"utf8"));
+                t.check(result.isPassed() && deepEqual(Object.keys(stored),["root > sub > value 1","root > sub > value 2"]),"New snapshots pass, and are stored with the path of the test, the name and a count.");
+                next();
+            });
+        },function(next) {
+            run({ lines: ["a","b"] },false,function(result) {
+                t.check(result.isPassed(),"Snapshots match the same value.");
+                next();
+            });
+        },function(next) {
+            run({ lines: ["a","c"] },false,function(result) {
+                var failure = result.contents[1];
+                t.check(!result.isPassed() && (result.passed === 1) && (failure.data.operator === "matchSnapshot") && 
+                        (failure.data.expected === stored["root > sub > value 1"]) && (failure.data.actual.indexOf("'c'") > -1),"Snapshots don't match a different value, and the error has both.");
+                next();
+            });
+        },function(next) {
+            run({ lines: ["a","c"] },true,function(updated) {
+                run({ lines: ["a","c"] },false,function(result) {
+                    t.check(updated.isPassed() && result.isPassed(),"Updating replaces the stored snapshot.");
+                    next();
+                });
+            });
+        },function(next) {
+            stored = JSON.parse(fs.readFileSync(snapFile,"utf8"));
+            stored["root > sub > gone 1"] = "old";
+            stored["other root > gone 1"] = "old";
+            fs.writeFileSync(snapFile,JSON.stringify(stored));
+            run({ lines: ["a","c"] },false,function() {
+                t.check(deepEqual(snapshot.findObsolete(snapFile,"root > "),["root > sub > gone 1"]) &&
+                        deepEqual(snapshot.findObsolete(snapFile),["other root > gone 1","root > sub > gone 1"]),"Snapshots which weren't used are obsolete.");
+                next();
+            });
+        },function(next) {
+            var index = JSON.stringify(path.resolve(__dirname,"index.js"));
+            fs.writeFileSync(testFile,
+                "var test = require(" + index + ");\n" +
+                "test('root',function(t) { t.test('sub',function(sub) { sub.matchSnapshot({ lines: ['a','c'] },'value'); sub.matchSnapshot('second','value'); sub.finish(); }); t.finish(); });\n");
+            var written = "";
+            var runner = new test.Runner({ output: { write: function(data) { written += data; } } });
+            runner.run([testFile],function(result) {
+                t.check(result.isPassed() && (written.indexOf("Obsolete snapshots, which no test used:\n// " + path.relative(process.cwd(),snapFile) + " -- other root > gone 1") > -1),"Runner lists the obsolete snapshots in the test files after the results.");
+                delete require.cache[testFile];
+                written = "";
+                new test.Runner({ output: { write: function(data) { written += data; } }, updateSnapshots: true }).run([testFile],function(result) {
+                    var stored = JSON.parse(fs.readFileSync(snapFile,"utf8"));
+                    t.check((written.indexOf("Removed obsolete snapshots") > -1) && deepEqual(Object.keys(stored),["root > sub > value 1","root > sub > value 2"]),"Updating removes the obsolete snapshots.");
+                    delete require.cache[testFile];
+                    next();
+                });
+            });
+        }];
+        var next = function() {
+            var step = steps.shift();
+            if (step) {
+                step(next);
+            } else {
+                t.finish();
+            }
+        }
+        next();
+    });
+    
+    t.test("Temporary files are cleaned up.",function(t) {
+        var fs = require("fs");
+        var os = require("os");
+        var path = require("path");
+        var paths = {};
+        var subject = new library.Test("subject",0,function() {
+            var kept = this.contents[2];
+            t.check(!fs.existsSync(paths.dir) && !fs.existsSync(paths.file),"Temporary directories and files are removed when the test is done.");
+            t.check(!fs.existsSync(paths.bailed),"Temporary directories are removed when the test bails.");
+            t.check(fs.existsSync(paths.kept) && kept.contents.some(function(item) {
+                return (item instanceof library.Annotation) && (item.kind === "comment") && (item.data.indexOf(paths.kept) > -1);
+            }),"Temporary directories are kept when a test fails, if asked, with a comment saying where.");
+            t.check(!fs.existsSync(paths.passed),"Temporary directories are still removed when a test passes, if asked to keep them.");
+            fs.rmSync(paths.kept,{ recursive: true, force: true });
+            t.finish();
+        });
+        subject.test("creates",function(sub) {
+            paths.dir = sub.tmpdir();
+            var other = sub.tmpdir();
+            paths.file = sub.tmpfile("Hello!");
+            var named = sub.tmpfile(Buffer.from("{}"),"data.json");
+            sub.check((paths.dir !== other) && (path.dirname(paths.dir) === os.tmpdir()) && (path.basename(paths.dir).indexOf("stf-creates-") === 0),"Temporary directories have unique names under the temporary directory.");
+            sub.check(fs.readdirSync(paths.dir).length === 0,"Temporary directories are empty.");
+            sub.check((fs.readFileSync(paths.file,"utf8") === "Hello!") && (path.dirname(named) === path.dirname(paths.file)) && (path.basename(named) === "data.json"),"Temporary files are created with the contents and name given.");
+            sub.finish();
+        });
+        subject.test("bails",function(sub) {
+            paths.bailed = sub.tmpdir();
+            throw new Error("Oops!");
+        });
+        subject.test("fails",{ keepTmpOnFailure: true },function(sub) {
+            paths.kept = sub.tmpdir();
+            sub.test("passes",function(inner) {
+                paths.passed = inner.tmpdir();
+                inner.finish();
+            });
+            sub.check(false,"fails");
+            sub.finish();
+        });
+        subject.finish();
+    });
+    
+    t.test("Where things happen is found.",function(t) {
+        // Returns the line number of the code calling it.
+        var here = function() {
+            return Number(/:(\d+):\d+\)?$/.exec(new Error().stack.split("\n")[2])[1]);
+        }
+        var file = require("path").resolve(__filename);
+        var line = here(); var subject = new library.Test("subject",0);
+        t.check(deepEqual(subject.location,{ file: file, line: line, column: subject.location.column }),"Tests know where they were created.");
+        line = here(); subject.check(false,"check");
+        t.check((subject.contents[0].location.file === file) && (subject.contents[0].location.line === line),"Checks know where they were made.");
+        line = here(); subject.equal(1,2,"equal");
+        t.check((subject.contents[1].location.line === line) && (subject.contents[2].location.line === line),"Assertions, and the errors they add, know where they were made.");
+        line = here(); subject.catch(function() { throw new Error("Oops!"); },"catch");
+        t.check((subject.contents[3].location.line === line) && (subject.contents[4].location.line === line),"Errors know where they were thrown.");
+        line = here(); subject.error("error");
+        t.check(subject.contents[5].location.line === line,"Errors know where they were added.");
+        line = here(); var thrown = new Error("thrown");
+        subject.error(thrown);
+        t.check(subject.contents[6].location.line === line,"The location of an Error is where it was created, not where it was added.");
+        line = here(); var sub = subject.test("sub");
+        t.check(sub.location.line === line,"Subtests know where they were created.");
+        sub.finish();
+        line = here(); subject.rejects(Promise.resolve(),"rejects").then(function() {
+            t.check(subject.contents[8].location.line === line,"Promise checks know where they were made, even though they're checked later.");
+            line = here(); subject.check(true,"passed");
+            t.check(subject.contents[9].location.line === line,"Checks which pass know where they were made as well.");
+            var copy = library.Test.fromJSON(JSON.parse(JSON.stringify(subject)));
+            t.check(deepEqual(copy.location,subject.location) && deepEqual(copy.contents[0].location,subject.contents[0].location) && deepEqual(copy.contents[5].location,subject.contents[5].location),"Locations are saved to JSON.");
+            
+            subject.finish();
+            var written = "";
+            new ResultWriter({ write: function(data) { written += data; } }).writeTest(subject);
+            var lines = written.split("\n");
+            var relative = require("path").relative(process.cwd(),file);
+            t.check(lines[0] === "failed -- 2/6: subject (at " + relative + ":" + subject.location.line + ")","ResultWriter writes where failed tests were created.");
+            t.check(lines.indexOf("  failed: check (at " + relative + ":" + subject.contents[0].location.line + ")") > -1,"ResultWriter writes where failed checks were made.");
+            t.check(lines.indexOf("  // ! error (at " + relative + ":" + subject.contents[5].location.line + ")") > -1,"ResultWriter writes where errors were added.");
+            t.check(lines.indexOf("  passed -- 0/0: sub") > -1,"ResultWriter doesn't write where passed tests were created.");
+            t.finish();
+        });
+    });
+    
     t.test("Annotation features work",function(t) {
         var subject = new library.Test("subject");
         subject.comment("This is a comment.");
@@ -462,6 +1521,49 @@ test("Test simple-test-framework",function(t) {
     });
     
    
+    t.test("Test results can be saved to and read from JSON.",function(t) {
+        var subject = new library.Test("subject");
+        var subtest = subject.test("subtest");
+        subtest.check(true,"Passed");
+        subtest.comment({ foo: "bar" });
+        subtest.finish();
+        subject.test("unfinished");
+        subject.check(false,"Failed");
+        subject.error(new Error("Foo"));
+        subject.finishAfter(4);
+        subject.finish("timeout");
+        
+        var copy = library.Test.fromJSON(JSON.parse(JSON.stringify(subject)));
+        t.check(copy instanceof library.Test,"fromJSON creates a Test object.");
+        t.check(copy.name === "subject","fromJSON restores the name.");
+        t.check((copy.passed === subject.passed) &&
+                (copy.failed === subject.failed) &&
+                (copy.total === subject.total) &&
+                (copy.expected === subject.expected) &&
+                (copy.pending === subject.pending) &&
+                (copy.errors === subject.errors),"fromJSON restores the counts.");
+        t.check(copy.finishReason === "timeout","fromJSON restores the finishReason.");
+        t.check(copy.isPassed() === subject.isPassed(),"fromJSON gives the same result for isPassed.");
+        t.check(copy.isCompleted() === subject.isCompleted(),"fromJSON gives the same result for isCompleted.");
+        t.check(!copy._timer,"fromJSON does not start a timer.");
+        t.check(copy.contents.length === subject.contents.length,"fromJSON restores the contents.");
+        t.check((copy.contents[0] instanceof library.Test) &&
+                (copy.contents[0].isPassed()),"fromJSON restores nested tests.");
+        t.check((copy.contents[0].contents[0] instanceof library.Minitest) &&
+                (copy.contents[0].contents[0].name === "Passed") &&
+                (copy.contents[0].contents[0].passed === true),"fromJSON restores Minitests.");
+        t.check((copy.contents[0].contents[1] instanceof library.Annotation) &&
+                deepEqual(copy.contents[0].contents[1].data,{ foo: "bar" }),"fromJSON restores Annotations.");
+        var error = copy.contents[3].data;
+        t.check((error instanceof Error) &&
+                (error.message === "Foo") &&
+                (error.stack === subject.contents[3].data.stack),"Errors in Annotations keep their message and stack.");
+        t.check((copy.contents[1] instanceof library.Test) &&
+                (!copy.contents[1].isCompleted()),"fromJSON restores incomplete nested tests.");
+        subject.contents[1].finish();
+        t.finish();
+    });
+    
     t.test("ResultWriter works.",function(t) {
         var subject = new library.Test("subject");
         // put some things in that would cause it to use different
@@ -480,6 +1582,381 @@ test("Test simple-test-framework",function(t) {
         t.finish();
     });
     
+    t.test("ResultWriter writes differences.",function(t) {
+        var written = "";
+        var writer = new ResultWriter({ write: function(data) { written += data; } });
+        writer.writeComparison({ expected: "one\ntwo\nthree", actual: "one\n2\nthree", operator: "==" },"! ");
+        var lines = written.split("\n");
+        t.check(lines[0] === "! Comparison failed (==), - expected + actual:","ResultWriter writes a heading for comparisons.");
+        t.check(deepEqual(lines.slice(1,6),["! @@ -1,3 +1,3 @@","!   one","! - two","! + 2","!   three"]),"ResultWriter writes a line diff of strings.");
+        t.check(!/\x1B/.test(written),"ResultWriter doesn't color differences when the output isn't a TTY.");
+        
+        written = "";
+        writer.writeComparison({ expected: { a: [1,2], b: "same", c: {} }, actual: { a: [1,3], b: "same" }, operator: "deepEqual" },"! ");
+        lines = written.split("\n");
+        t.check(deepEqual(lines.slice(1,4),["! - a[1]: 2","! + a[1]: 3","! - c: {}"]),"ResultWriter writes the paths that are different in objects.");
+        
+        written = "";
+        writer.writeComparison({ expected: 1, actual: "1" },"! ");
+        t.check(written.split("\n")[1] === "! - 1" && written.split("\n")[2] === "! + '1'","ResultWriter writes both values if they can't be compared in detail.");
+        
+        written = "";
+        var expected = [];
+        var actual = [];
+        for (var i = 0; i < 100; i++) {
+            expected.push(i);
+            actual.push(-i);
+        }
+        writer.writeComparison({ expected: expected, actual: actual },"! ");
+        t.check(written.indexOf("! ... 148 more lines") > -1,"ResultWriter limits the number of differences written.");
+        
+        written = "";
+        try {
+            assert.strictEqual("foo","bar");
+        } catch (e) {
+            writer.writeComparison(e,"! ");
+        }
+        lines = written.split("\n");
+        t.check(/^! AssertionError/.test(lines[0]) &&
+                (lines[1] === "! - 'bar'") &&
+                (lines[2] === "! + 'foo'") &&
+                /^!     at /.test(lines[3]),"ResultWriter writes differences for AssertionErrors, followed by the stack.");
+        
+        written = "";
+        var tty = new ResultWriter({ isTTY: true, columns: 20, write: function(data) { written += data; } });
+        tty.writeComparison({ expected: "a very long line that is cut off", actual: "short" },"! ");
+        // the heading is wrapped, so look at the end.
+        lines = written.split("\n").slice(-5);
+        t.check(deepEqual(lines,[
+            "! \x1B[31m- 'a very long\x1B[39m",
+            "! \x1B[31m- line that is cut\x1B[39m",
+            "! \x1B[31m- off'\x1B[39m",
+            "! \x1B[32m+ 'short'\x1B[39m",
+            ""
+        ]),"ResultWriter colors differences and wraps long lines on a TTY.");
+        
+        written = "";
+        writer.writeError({ expected: 1, actual: 2, operator: "==" });
+        t.check(written.split("\n")[0] === "// ! Comparison failed (==), - expected + actual:","ResultWriter writes differences for the errors added by assertions.");
+        written = "";
+        writer.writeComment({ expected: 1, actual: 2, operator: "==" });
+        writer.writeError({ expected: 1, actual: 2 });
+        t.check(written.indexOf("Comparison failed") === -1,"ResultWriter writes other data with expected and actual values as it is.");
+        t.finish();
+    });
+    
+    t.test("ResultWriter cleans up stacks.",function(t) {
+        var path = require("path");
+        var project = path.join(process.cwd(),"lib","thing.js");
+        var modules = path.join(process.cwd(),"node_modules");
+        var error = new Error("Oops!");
+        error.code = "E_OOPS";
+        error.stack = [
+            "Error: Oops!",
+            "    at thing (" + project + ":10:5)",
+            "    at helper (" + path.join(modules,"dep","index.js") + ":1:1)",
+            "    at other (" + path.join(modules,"dep","lib","other.js") + ":2:2)",
+            "    at scoped (" + path.join(modules,"@scope","pkg","index.js") + ":3:3)",
+            "    at Test.run (" + path.join(__dirname,"library.js") + ":400:10)",
+            "    at listOnTimeout (node:internal/timers:581:17)",
+            "    at new Promise (<anonymous>)",
+            "    at /elsewhere/outside.js:5:6"
+        ].join("\n");
+        var written = "";
+        var writer = new ResultWriter({ write: function(data) { written += data; } });
+        writer.writeData(error,"! ");
+        t.check(deepEqual(written.split("\n"),[
+            "! Error: Oops!",
+            "! { code: 'E_OOPS' }",
+            "!     at thing (" + path.join("lib","thing.js") + ":10:5)",
+            "!     at ... (2 frames in node_modules/dep)",
+            "!     at ... (1 frame in node_modules/@scope/pkg)",
+            "!     at /elsewhere/outside.js:5:6",
+            ""
+        ]),"ResultWriter leaves out frames in node and the framework, collapses node_modules, and makes paths relative.");
+        
+        written = "";
+        writer.verbose = true;
+        writer.writeData(error,"! ");
+        t.check((written.indexOf(":581:17)") > -1) && (written.indexOf(path.join(__dirname,"library.js")) > -1) && (written.indexOf(project) > -1),"ResultWriter writes the whole stack when verbose.");
+        
+        written = "";
+        writer.verbose = false;
+        var internal = new Error("Internal");
+        internal.stack = "Error: Internal\n    at listOnTimeout (node:internal/timers:581:17)";
+        writer.writeData(new Error("Outer",{ cause: internal }),"! ");
+        var lines = written.split("\n");
+        t.check((lines.indexOf("! Caused by: Error: Internal") > -1) && (lines.indexOf("!     at listOnTimeout (node:internal/timers:581:17)") > -1),"ResultWriter writes the cause of an error, and the whole stack if nothing would be left.");
+        t.check(written.split("! Error: Outer").length === 2,"ResultWriter only writes an error once.");
+        t.finish();
+    });
+    
+    t.test("Tests are timed.",function(t) {
+        var written = "";
+        var output = { write: function(data) { written += data; } };
+        test("subject",{ output: output, slow: 40, slowest: 2 },function(subject) {
+            subject.check(true,"Fast");
+            subject.test("slow",function(slow) {
+                setTimeout(function() {
+                    slow.finish();
+                },50);
+            });
+            subject.test("fast").finish();
+            subject.resolves(new Promise(function(resolve) {
+                setTimeout(resolve,50);
+            }),"Slow promise");
+            subject.finishAfter(4);
+        });
+        setTimeout(function() {
+            var lines = written.split("\n");
+            t.check(lines.some(function(line) {
+                return /^passed -- 4\/4: subject \(slow: \d+ms\)$/.test(line);
+            }),"ResultWriter marks slow tests.");
+            t.check(lines.some(function(line) {
+                return /^  passed -- 0\/0: slow \(slow: \d+ms\)$/.test(line);
+            }),"ResultWriter writes slow tests inside passed tests.");
+            t.check(lines.some(function(line) {
+                return /^  passed: Slow promise \(slow: \d+ms\)$/.test(line);
+            }),"ResultWriter writes slow Minitests inside passed tests.");
+            var slowest = lines.indexOf("// Slowest tests:");
+            t.check(!/fast|Fast/.test(lines.slice(0,slowest).join("\n")),"ResultWriter doesn't write fast tests inside passed tests.");
+            t.check((slowest > -1) && /^\/\/ \d+ms -- slow$/.test(lines[slowest + 1]) && /^\/\/ \d+ms -- fast$/.test(lines[slowest + 2]),"The slowest tests are listed after the results.");
+            
+            var timed = new library.Test("timed",0);
+            t.check((typeof timed.startTime === "number") && (timed.endTime === null) && (timed.duration === null),"Tests have a start time, but no end time or duration until they're completed.");
+            timed.check(true,"check");
+            var check = timed.contents[0];
+            t.check((check.startTime === check.endTime) && (check.duration === 0),"Minitests have a start time, end time and duration.");
+            timed.finish();
+            t.check((timed.endTime >= timed.startTime) && (timed.duration === timed.endTime - timed.startTime),"Completed tests have an end time and duration.");
+            var copy = library.Test.fromJSON(JSON.parse(JSON.stringify(timed)));
+            t.check((copy.startTime === timed.startTime) && (copy.duration === timed.duration) && (copy.contents[0].endTime === check.endTime),"Times are saved to JSON.");
+            
+            written = "";
+            var writer = new ResultWriter(output);
+            writer.showDurations = true;
+            writer.writeTest(timed);
+            t.check(/^passed -- 1\/1: timed \(\d+ms\)$/.test(written.split("\n")[0]),"ResultWriter shows durations if asked.");
+            t.finish();
+        },200);
+    });
+    
+    t.test("TapWriter works.",function(t) {
+        var subject = new library.Test("subject");
+        var subtest = subject.test("subtest");
+        subtest.check(true,"Passed # not a directive");
+        subtest.finish();
+        subject.check(false,"Failed");
+        subject.error("Expected 1, got 2.");
+        subject.comment("This is a comment.");
+        subject.error(new Error("Foo"));
+        subject.finish();
+        var written = "";
+        t.catch(function() {
+            new TapWriter({ write: function(data) { written += data; } }).writeTest(subject);
+        },"TapWriter does not throw an error when writing results out.");
+        var lines = written.split("\n");
+        t.check(lines[0] === "TAP version 13","TapWriter starts with the version line.");
+        t.check(lines.indexOf("    # Subtest: subject") > -1,"TapWriter writes the root test as a subtest.");
+        t.check(lines.indexOf("        # Subtest: subtest") > -1,"TapWriter writes nested tests as indented subtests.");
+        t.check(lines.indexOf("        ok 1 - Passed \\# not a directive") > -1,"TapWriter writes passed Minitests as 'ok' lines, escaping '#'.");
+        t.check(lines.indexOf("    ok 1 - subtest") > -1,"TapWriter writes passed subtests as 'ok' lines.");
+        var failed = lines.indexOf("    not ok 2 - Failed");
+        t.check(failed > -1,"TapWriter writes failed Minitests as 'not ok' lines.");
+        t.check((lines[failed + 1] === "      ---") &&
+                (lines[failed + 2] === "      errors:") &&
+                (lines[failed + 3] === "        - \"Expected 1, got 2.\""),"TapWriter attaches errors following a Minitest to it as a YAML block.");
+        t.check(lines.indexOf("    # This is a comment.") > -1,"TapWriter writes comments as TAP comments.");
+        t.check(lines.indexOf("    1..2") > -1,"TapWriter writes a plan for each subtest.");
+        t.check(lines.indexOf("not ok 1 - subject") > -1,"TapWriter writes failed tests as 'not ok' lines.");
+        t.check(lines.indexOf("      message: \"Foo\"") > -1,"TapWriter writes errors not following a Minitest into the test's YAML block.");
+        t.check(lines[lines.length - 2] === "1..1","TapWriter ends with a plan.");
+        
+        var circular = new library.Test("circular");
+        var loop = { name: "loop", list: [] };
+        loop.self = loop;
+        loop.list.push(loop);
+        circular.deepEqual(loop,{ name: "other" },"loops");
+        circular.finish();
+        written = "";
+        t.catch(function() {
+            new TapWriter({ write: function(data) { written += data; } }).writeTest(circular);
+        },"TapWriter does not throw an error when the data contains itself.");
+        lines = written.split("\n");
+        t.check((lines.indexOf("            self: \"[Circular]\"") > -1) &&
+                (lines.indexOf("              - \"[Circular]\"") > -1) &&
+                (lines[lines.length - 2] === "1..1"),"TapWriter writes data which contains itself as [Circular], and finishes the document.");
+        t.finish();
+    });
+    
+    t.test("JUnitWriter works.",function(t) {
+        var subject = new library.Test("subject");
+        var subtest = subject.test("subtest <&>");
+        subtest.check(true,"Passed");
+        subtest.finish("timeout");
+        subject.check(false,"Failed");
+        subject.error(new Error("Foo"));
+        subject.comment("A \"quoted\" comment with <markup> & \u0001 control characters.");
+        subject.finish("bail");
+        var written = "";
+        t.catch(function() {
+            var writer = new JUnitWriter({ write: function(data) { written += data; } });
+            writer.writeTest(subject);
+            writer.writeComment("Comments -- can't break out.");
+        },"JUnitWriter does not throw an error when writing results out.");
+        t.check(written.indexOf('<?xml version="1.0" encoding="UTF-8"?>') === 0,"JUnitWriter starts with an XML declaration.");
+        t.check(written.indexOf('<testsuites name="subject" tests="4" failures="1" errors="5" skipped="0">') > -1,"JUnitWriter writes the root test as testsuites, with totals.");
+        t.check(written.indexOf('<testsuite name="subject &gt; subtest &lt;&amp;&gt;" tests="2" failures="0" errors="2" skipped="0">') > -1,"JUnitWriter writes nested tests as escaped testsuites.");
+        t.check(written.indexOf('<testcase classname="subject &gt; subtest &lt;&amp;&gt;" name="Passed"/>') > -1,"JUnitWriter writes passed Minitests as testcases.");
+        t.check(written.indexOf('<failure type="check" message="failed: Failed"/>') > -1,"JUnitWriter writes failed Minitests as failures.");
+        t.check(written.indexOf('<error type="error" message="Foo">Error: Foo') > -1,"JUnitWriter writes error annotations as errors.");
+        t.check(written.indexOf('<error type="timeout"') > -1,"JUnitWriter reports timeouts distinctly.");
+        t.check(written.indexOf('<error type="bail"') > -1,"JUnitWriter reports bails distinctly.");
+        t.check(written.indexOf('<system-out>A &quot;quoted&quot; comment with &lt;markup&gt; &amp;  control characters.</system-out>') > -1,"JUnitWriter escapes comment data.");
+        t.check(written.indexOf("<!-- Comments - - can't break out. -->") > -1,"JUnitWriter escapes XML comments.");
+        
+        var objects = new library.Test("objects");
+        objects.error({ first: "one", second: [1,2,3], third: { nested: true }, fourth: "a long string to go past the usual line length" });
+        objects.error({ long: new Array(300).join("x") });
+        objects.finish();
+        written = "";
+        new JUnitWriter({ write: function(data) { written += data; } }).writeTest(objects);
+        t.check(written.indexOf('<error type="error" message="{ first: &apos;one&apos;, second: [ 1, 2, 3 ], third: { nested: true }, fourth: &apos;a long string to go past the usual line length&apos; }">') > -1,"JUnitWriter writes the message for object data on one line.");
+        var long = /message="(\{ long: [^"]*)"/.exec(written);
+        t.check(long && (long[1].length < 220) && /x\.\.\.$/.test(long[1]),"JUnitWriter cuts long messages short.");
+        t.finish();
+    });
+    
+    t.test("Runner works.",function(t) {
+        var fs = require("fs");
+        var os = require("os");
+        var path = require("path");
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(),"stf-runner-"));
+        t.cleanup(function() {
+            fs.rmSync(dir,{ recursive: true, force: true });
+        });
+        var index = JSON.stringify(path.resolve(__dirname,"index.js"));
+        fs.mkdirSync(path.join(dir,"sub"));
+        fs.mkdirSync(path.join(dir,"filtered"));
+        fs.writeFileSync(path.join(dir,"passes.js"),
+            "var test = require(" + index + ");\n" +
+            "test('Async root',function(t) { setTimeout(function() { t.check(true,'yes'); t.finish(); },50); });\n" +
+            "test('Timed root',function(t) { t.comment(t.timeout); t.finish(); });\n");
+        fs.writeFileSync(path.join(dir,"sub","fails.js"),
+            "var test = require(" + index + ");\n" +
+            "test('Failing root',function(t) { t.check(false,'no'); t.finish(); });\n");
+        fs.writeFileSync(path.join(dir,"sub","throws.js"),"throw new Error('Oops!');\n");
+        // each run of a file needs another copy, since it's only loaded once.
+        ["matches.js","misses.js"].forEach(function(name) {
+            fs.writeFileSync(path.join(dir,"filtered",name),fs.readFileSync(path.join(dir,"passes.js")));
+        });
+        fs.writeFileSync(path.join(dir,"sub","readme.txt"),"Not a test.\n");
+        
+        var runner = new test.Runner({ writer: null, timeout: 1234 });
+        var found = runner.findFiles([path.join(dir,"sub"),path.join(dir,"*.js"),path.join(dir,"**","fails.js"),path.join(dir,"nothere")]);
+        t.check(deepEqual(found.files,[path.join(dir,"sub","fails.js"),path.join(dir,"sub","throws.js"),path.join(dir,"passes.js")]),"findFiles finds js files in directories and globs, without duplicates.");
+        t.check(deepEqual(found.unmatched,[path.join(dir,"nothere")]),"findFiles reports patterns which don't match anything.");
+        
+        runner.run([path.join(dir,"passes.js")],function(result) {
+            var file = result.contents[0];
+            t.check(result.isPassed(),"Runner passes when all root tests pass.");
+            t.check((file.total === 2) && (file.contents[0].name === "Async root"),"Runner collects the root tests created by a file, and waits for them.");
+            t.check(file.contents[1].contents[0].data === 1234,"Runner passes the timeout option to root tests.");
+            runner.run([path.join(dir,"sub")],function(result) {
+                t.check(!result.isPassed(),"Runner fails when a root test fails.");
+                t.check(result.contents[1].finishReason === "bail","Runner bails a file that throws while loading.");
+                new test.Runner({ writer: null, filter: "/^Timed/" }).run([path.join(dir,"filtered","matches.js")],function(result) {
+                    t.check(result.isPassed() && (result.contents[0].contents[0].directive === "filter") && (result.contents[0].contents[1].directive === null),"Runner passes when the filter matches a test.");
+                    new test.Runner({ writer: null, filter: "/nothing/" }).run([path.join(dir,"filtered","misses.js")],function(result) {
+                        t.check(!result.isPassed() && (result.contents[0].contents.length === 2) && (result.contents[result.contents.length - 1].data === "No tests matched the filter."),"Runner fails when the filter doesn't match any tests.");
+                        t.finish();
+                    });
+                });
+            });
+        });
+    });
+    
+    t.test("Runner isolates files.",{ timeout: 10000 },function(t) {
+        var fs = require("fs");
+        var os = require("os");
+        var path = require("path");
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(),"stf-isolate-"));
+        t.cleanup(function() {
+            fs.rmSync(dir,{ recursive: true, force: true });
+        });
+        var index = JSON.stringify(path.resolve(__dirname,"index.js"));
+        fs.writeFileSync(path.join(dir,"exits.js"),
+            "var test = require(" + index + ");\n" +
+            "test('Exiting root',function(t) { t.check(true,'before'); setTimeout(function() { process.exit(3); },500); });\n");
+        fs.writeFileSync(path.join(dir,"hangs.js"),
+            "var test = require(" + index + ");\n" +
+            "test('Hanging root',function(t) { t.check(true,'before'); setTimeout(function() { while (true) {} },50); });\n");
+        fs.writeFileSync(path.join(dir,"passes.js"),
+            "var test = require(" + index + ");\n" +
+            "test('Passing root',function(t) { t.check(true,'yes'); t.test('Skipped',{ skip: true },function() {}); " +
+            "var shared = { a: 1 }; var cycle = { shared: shared }; cycle.self = cycle; t.comment([shared,shared]); t.comment(cycle); t.finish(); });\n" +
+            "test('Filtered root',function(t) { t.finish(); });\n");
+        
+        var runner = new test.Runner({ writer: null, isolate: true, hangTimeout: 1000, filter: [/^(Passing|Exiting|Hanging) root$/,/^Ski/] });
+        runner.run([dir],function(result) {
+            var exits = result.contents[0];
+            var hangs = result.contents[1];
+            var passes = result.contents[2];
+            t.check(!result.isPassed() && (result.total === 3),"Runner isolates each file, and fails if any of them fail.");
+            t.check(exits.finishReason === "exit" && (exits.contents[0].name === "Exiting root") && (exits.contents[0].passed === 1),"An isolated file which exits early keeps the results it had sent.");
+            t.check(/with the code 3/.test(exits.contents[1].data),"An isolated file which exits early gets an error with the exit code.");
+            t.check(hangs.finishReason === "hang" && /stopped responding/.test(hangs.contents[hangs.contents.length - 1].data),"An isolated file which stops responding is killed.");
+            t.check(passes.isPassed() && (passes.contents[0] instanceof test.Test) && (passes.contents[0].passed === 1),"The results of an isolated file are returned as Test objects.");
+            t.check(passes.contents[0].contents[1].directive === "skip","Isolated files keep the directives of their tests.");
+            t.check(deepEqual(passes.contents[0].contents[2].data,[{ a: 1 },{ a: 1 }]) && 
+                    deepEqual(passes.contents[0].contents[3].data,{ shared: { a: 1 }, self: "[Circular]" }),"Isolated files send objects which appear twice, and only mark real cycles as circular.");
+            t.check(passes.contents[1].directive === "filter","Isolated files get the filter option.");
+            t.finish();
+        });
+    });
+    
+    t.test("Runner watches files.",{ timeout: 10000 },function(t) {
+        var fs = require("fs");
+        var os = require("os");
+        var path = require("path");
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(),"stf-watch-"));
+        var watching = null;
+        t.cleanup(function() {
+            if (watching) {
+                watching.close();
+            }
+            fs.rmSync(dir,{ recursive: true, force: true });
+        });
+        var index = JSON.stringify(path.resolve(__dirname,"index.js"));
+        var uses = path.join(dir,"uses.js");
+        var other = path.join(dir,"other.js");
+        var value = path.join(dir,"value.js");
+        fs.writeFileSync(path.join(dir,"lib.js"),"module.exports = require('./value');\n");
+        fs.writeFileSync(value,"module.exports = 1;\n");
+        fs.writeFileSync(uses,
+            "var test = require(" + index + ");\n" +
+            "test('Uses lib',function(t) { t.comment(require('./lib')); t.finish(); });\n");
+        fs.writeFileSync(other,
+            "var test = require(" + index + ");\n" +
+            "test('Other',function(t) { t.finish(); });\n");
+        
+        var runs = [];
+        var runner = new test.Runner({ writer: null, watchDelay: 20 });
+        watching = runner.watch([uses,other],function(result) {
+            runs.push(result);
+            if (runs.length === 1) {
+                t.check(result.total === 2,"Watching runs all of the files at first.");
+                t.check(deepEqual(runner.dependencies[uses],[uses,path.join(dir,"lib.js"),value]),"Runner finds the modules loaded by a test file.");
+                fs.writeFileSync(value,"module.exports = 2;\n");
+            } else {
+                t.check((result.total === 1) && (result.contents[0].name === path.relative(process.cwd(),uses)),"Watching runs only the files which depend on a changed module.");
+                t.check(result.contents[0].contents[0].contents[0].data === 2,"Watching clears the changed modules, and the modules that use them, from the require cache.");
+                watching.close();
+                t.finish();
+            }
+        });
+    });
+    
     t.test("main test function.",function(t) {
         var subject = test("Subject",{
             output: mockOutput